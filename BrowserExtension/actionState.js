@@ -0,0 +1,88 @@
+// Toolbar button state: a filled icon when the tab's page is already in Stash,
+// and a badge with the number of bookmarks still waiting to sync.
+
+const BADGE_PENDING_COLOR = '#b25e00';
+const BADGE_SAVED_COLOR = '#00875a';
+
+// Drawn once per state, the service worker has no DOM for <img> icons
+const actionIcons = {};
+
+function getActionIcon(saved) {
+  if (!actionIcons[saved]) {
+    actionIcons[saved] = {
+      16: drawActionIcon(16, saved),
+      32: drawActionIcon(32, saved)
+    };
+  }
+  return actionIcons[saved];
+}
+
+// The popup's logo: a bookmark ribbon on blue, filled in when saved
+function drawActionIcon(size, saved) {
+  const canvas = new OffscreenCanvas(size, size);
+  const context = canvas.getContext('2d');
+  const unit = size / 16;
+
+  context.fillStyle = '#007aff';
+  context.beginPath();
+  context.roundRect(0, 0, size, size, 3 * unit);
+  context.fill();
+
+  context.beginPath();
+  context.moveTo(4.5 * unit, 3 * unit);
+  context.lineTo(11.5 * unit, 3 * unit);
+  context.lineTo(11.5 * unit, 13 * unit);
+  context.lineTo(8 * unit, 10 * unit);
+  context.lineTo(4.5 * unit, 13 * unit);
+  context.closePath();
+
+  if (saved) {
+    context.fillStyle = 'white';
+    context.fill();
+  } else {
+    context.strokeStyle = 'white';
+    context.lineWidth = 1.5 * unit;
+    context.lineJoin = 'round';
+    context.stroke();
+  }
+
+  return context.getImageData(0, 0, size, size);
+}
+
+/**
+ * Show whether tab's page is saved. Pending syncs take the badge over a
+ * saved tick, since they need the user to open Stash.
+ */
+async function updateActionState(tab) {
+  if (!tab || tab.id === undefined || tab.id === chrome.tabs.TAB_ID_NONE) return;
+
+  const { bookmarks = [], libraryRecords = {} } = await chrome.storage.local.get(['bookmarks', 'libraryRecords']);
+  const saved = Boolean(tab.url && findSavedBookmark(bookmarks, libraryRecords, tab.url));
+  const pending = bookmarks.filter(b => !b.synced).length;
+
+  const title = [saved ? 'Already in Stash, click to edit' : 'Save to Stash'];
+  if (pending > 0) {
+    title.push(`${pending} ${pending === 1 ? 'bookmark' : 'bookmarks'} waiting to sync`);
+  }
+
+  try {
+    await chrome.action.setIcon({ tabId: tab.id, imageData: getActionIcon(saved) });
+    await chrome.action.setTitle({ tabId: tab.id, title: title.join('\n') });
+
+    if (pending > 0) {
+      await chrome.action.setBadgeText({ tabId: tab.id, text: pending > 99 ? '99+' : String(pending) });
+      await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: BADGE_PENDING_COLOR });
+    } else {
+      await chrome.action.setBadgeText({ tabId: tab.id, text: saved ? '✓' : '' });
+      await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: BADGE_SAVED_COLOR });
+    }
+  } catch (error) {
+    // Tab closed while we were looking it up
+  }
+}
+
+// The visible tab of every window, e.g. after bookmarks change
+async function updateActiveTabsActionState() {
+  const tabs = await chrome.tabs.query({ active: true });
+  await Promise.all(tabs.map(updateActionState));
+}
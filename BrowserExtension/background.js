@@ -1,6 +1,79 @@
 // Background Service Worker
-chrome.runtime.onInstalled.addListener(() => {
+importScripts('config.js', 'urlUtils.js', 'metadata.js', 'cloudKitClient.js', 'actionState.js', 'nativeBookmarks.js');
+
+const SYNC_ALARM = 'stash-sync';
+const RETRY_ALARM = 'stash-sync-retry';
+
+// Catch up periodically in case a retry alarm was missed
+const SYNC_INTERVAL_MINUTES = 15;
+
+// Failed bookmarks wait 30s, 1m, 2m ... up to an hour before the next try
+const BASE_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+// Content script registered for the web app origin from the options page
+const BRIDGE_SCRIPT_ID = 'stash-bridge';
+
+chrome.runtime.onInstalled.addListener((details) => {
   console.log('Stash extension installed');
+  
+  // Context menu for right-click save. Menus persist, so only on install/update.
+  chrome.contextMenus.create({
+    id: 'saveToBookmarks',
+    title: 'Save to Stash',
+    contexts: ['page', 'link', 'selection']
+  });
+  
+  chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_INTERVAL_MINUTES });
+  registerBridgeScript();
+  syncPendingBookmarks();
+  updateActiveTabsActionState();
+  
+  if (details.reason === 'install') {
+    // Nothing works until the web app URL is set
+    chrome.runtime.openOptionsPage();
+  }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  registerBridgeScript();
+  syncPendingBookmarks();
+  updateActiveTabsActionState();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.webAppURL) {
+    registerBridgeScript(changes.webAppURL.oldValue);
+  }
+  
+  // Saved, synced or edited anywhere, so the toolbar button may be out of date
+  if (area === 'local' && (changes.bookmarks || changes.libraryRecords)) {
+    updateActiveTabsActionState();
+  }
+});
+
+// Keep the toolbar button in step with the page being looked at
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  chrome.tabs.get(tabId)
+    .then(updateActionState)
+    .catch(() => {});
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // Chrome resets per-tab icons and badges when a tab navigates
+  if (changeInfo.url || changeInfo.status === 'loading') {
+    updateActionState(tab);
+  }
+});
+
+chrome.permissions.onAdded.addListener(() => {
+  registerBridgeScript();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SYNC_ALARM || alarm.name === RETRY_ALARM) {
+    syncPendingBookmarks();
+  }
 });
 
 // Handle messages from content scripts or popup
@@ -11,83 +84,642 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Keep message channel open for async response
   }
-});
 
-// Context menu for right-click save
-chrome.contextMenus.create({
-  id: 'saveToBookmarks',
-  title: 'Save to Stash',
-  contexts: ['page', 'link']
+  if (message.type === 'SET_SESSION') {
+    // From the Stash web app via content.js, null when the user signed out
+    getWebAppOrigin()
+      .then(origin => {
+        if (!origin || originOf(sender.url) !== origin) {
+          throw new Error('Not the Stash web app');
+        }
+        return setSession(message.session);
+      })
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'SYNC_NOW') {
+    syncPendingBookmarks()
+      .then(result => sendResponse({ success: true, data: result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // From the popup's browse view
+  if (message.type === 'REFRESH_LIBRARY') {
+    refreshLibrary()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'UPDATE_BOOKMARK') {
+    handleUpdateBookmark(message.bookmark, message.changes)
+      .then(result => sendResponse({ success: true, data: result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'IMPORT_NATIVE_BOOKMARKS') {
+    // From the options page, the browser's bookmarks in the chosen folders
+    chrome.bookmarks.getTree()
+      .then(tree => handleSaveBookmarks(collectNativeBookmarks(tree, message.folderIds)))
+      .then(({ saved, skipped }) => sendResponse({ success: true, data: { saved: saved.length, skipped } }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'DELETE_BOOKMARK') {
+    handleDeleteBookmark(message.bookmark)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
 });
 
-chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+chrome.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId === 'saveToBookmarks') {
-    const url = info.linkUrl || tab.url;
-    const title = tab.title || '';
+    savePage(tab, info);
+  }
+});
+
+// Mirror bookmarks added in the browser, when turned on in the options.
+// A bookmarks file imported into the browser isn't mirrored.
+let browserImportInProgress = false;
+
+chrome.bookmarks.onImportBegan.addListener(() => {
+  browserImportInProgress = true;
+});
+
+chrome.bookmarks.onImportEnded.addListener(() => {
+  browserImportInProgress = false;
+});
+
+chrome.bookmarks.onCreated.addListener(async (id, node) => {
+  if (!node.url || browserImportInProgress) return;
+  
+  const { mirrorNativeBookmarks } = await getSettings();
+  if (!mirrorNativeBookmarks) return;
+  
+  try {
+    const path = await getNativeFolderPath(node.parentId);
+    await handleSaveBookmarks([nativeBookmarkData(node, path)]);
+  } catch (error) {
+    console.error('Failed to mirror browser bookmark:', error);
+  }
+});
+
+// Keyboard shortcuts from the manifest's commands, editable at chrome://extensions/shortcuts
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'quick-save' && tab) {
+    savePage(tab);
+  }
+  
+  if (command === 'save-window' && tab) {
+    saveWindowTabs(tab.windowId);
+  }
+});
+
+/**
+ * Save the page in tab, or the link that was right-clicked on it, without
+ * going through the popup.
+ */
+async function savePage(tab, { linkUrl, selectionText } = {}) {
+  const url = linkUrl || tab.url;
+  
+  // The page's own metadata only describes it, not the links on it
+  const metadata = linkUrl ? {} : await capturePageMetadata(tab.id);
+  if (selectionText) {
+    metadata.selection = selectionText.trim();
+  }
+  
+  const bookmarkData = {
+    ...pickPageMetadata(metadata),
+    url,
+    title: linkUrl ? '' : (metadata.title || tab.title || ''),
+    notes: notesFromMetadata(metadata) || null,
+    createdAt: new Date().toISOString(),
+    modifiedAt: new Date().toISOString()
+  };
+  
+  const { notifyOnSave } = await getSettings();
+  
+  try {
+    const saved = await handleSaveBookmark(bookmarkData);
+    
+    if (notifyOnSave) {
+      showNotification(saved.duplicate ? 'Already saved in Stash' : 'Bookmark saved successfully!');
+    }
+  } catch (error) {
+    console.error('Failed to save bookmark:', error);
+    showNotification('Failed to save bookmark');
+  }
+}
+
+/**
+ * Save every tab in the window. Tabs in a group are tagged with the group's
+ * name so they stay together in Stash.
+ */
+async function saveWindowTabs(windowId) {
+  try {
+    const tabs = await chrome.tabs.query({ windowId });
+    const groupTags = await getTabGroupTags(tabs);
+    const now = new Date().toISOString();
     
-    const bookmarkData = {
-      url,
-      title,
+    const { saved, skipped } = await handleSaveBookmarks(tabs.map(tab => ({
+      url: tab.url,
+      title: tab.title || '',
       notes: null,
-      createdAt: new Date().toISOString(),
-      modifiedAt: new Date().toISOString()
-    };
+      tags: groupTags.has(tab.groupId) ? [groupTags.get(tab.groupId)] : [],
+      createdAt: now,
+      modifiedAt: now
+    })));
     
+    const { notifyOnSave } = await getSettings();
+    if (!notifyOnSave) return;
+    
+    const parts = [`Saved ${saved.length} ${saved.length === 1 ? 'tab' : 'tabs'}`];
+    if (skipped > 0) {
+      parts.push(`skipped ${skipped} already saved or not a web page`);
+    }
+    showNotification(parts.join(', '));
+  } catch (error) {
+    console.error('Failed to save window:', error);
+    showNotification('Failed to save tabs');
+  }
+}
+
+// Tag for each tab group, named like the group or after its colour if untitled
+async function getTabGroupTags(tabs) {
+  const groupIds = new Set(tabs
+    .map(tab => tab.groupId)
+    .filter(groupId => groupId !== undefined && groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE));
+  const tags = new Map();
+  
+  for (const groupId of groupIds) {
     try {
-      await handleSaveBookmark(bookmarkData);
-      
-      // Show notification
-      chrome.notifications.create({
-        type: 'basic',
-        iconUrl: 'icons/icon48.png',
-        title: 'Stash',
-        message: 'Bookmark saved successfully!'
-      });
+      const group = await chrome.tabGroups.get(groupId);
+      const name = group.title?.trim() || `${group.color} tab group`;
+      tags.set(groupId, name);
     } catch (error) {
-      console.error('Failed to save bookmark:', error);
-      
-      chrome.notifications.create({
-        type: 'basic',
-        iconUrl: 'icons/icon48.png',
-        title: 'Stash',
-        message: 'Failed to save bookmark'
-      });
+      // Group closed meanwhile, save its tabs untagged
     }
   }
-});
+  
+  return tags;
+}
 
 async function handleSaveBookmark(bookmarkData) {
+  // Only web pages, the same rule as handleSaveBookmarks
+  if (!originOf(bookmarkData?.url)) {
+    throw new Error('Only http and https pages can be saved');
+  }
+  
   // Save to local storage
   const result = await chrome.storage.local.get(['bookmarks']);
   const bookmarks = result.bookmarks || [];
   
-  const newBookmark = {
-    ...bookmarkData,
-    id: generateId(),
-    synced: false
-  };
+  // Already saved, possibly as http:// or with tracking parameters
+  const existing = findBookmarkByURL(bookmarks.filter(b => !b.deleted), bookmarkData.url);
+  if (existing) {
+    return { ...existing, duplicate: true };
+  }
+  
+  const { defaultTags } = await getSettings();
+  const newBookmark = createLocalBookmark(bookmarkData, defaultTags);
   
   bookmarks.unshift(newBookmark);
   await chrome.storage.local.set({ bookmarks });
   
-  // Try to sync with web app
-  await syncWithWebApp();
+  // Push it to iCloud now, failures are retried by alarm
+  syncPendingBookmarks();
   
   return newBookmark;
 }
 
-async function syncWithWebApp() {
-  // This would integrate with your web app's sync mechanism
-  // For now, we'll just mark items as needing sync
-  const result = await chrome.storage.local.get(['bookmarks']);
-  const bookmarks = result.bookmarks || [];
+/**
+ * Save several pages at once. Pages already saved here or in the library,
+ * repeats within the list and anything that isn't a web page are skipped.
+ * Returns { saved, skipped }.
+ */
+async function handleSaveBookmarks(bookmarkDataList) {
+  const { bookmarks = [], libraryRecords = {} } = await chrome.storage.local.get(['bookmarks', 'libraryRecords']);
+  const { defaultTags } = await getSettings();
+  
+  const seen = new Set([
+    ...bookmarks.filter(b => !b.deleted).map(b => canonicalizeURL(b.url)),
+    ...Object.values(libraryRecords).map(record => canonicalizeURL(record.url))
+  ]);
+  const saved = [];
+  let skipped = 0;
+  
+  bookmarkDataList.forEach(bookmarkData => {
+    const key = canonicalizeURL(bookmarkData.url);
+    
+    if (!originOf(bookmarkData.url) || seen.has(key)) {
+      skipped++;
+      return;
+    }
+    
+    seen.add(key);
+    saved.push(createLocalBookmark(bookmarkData, defaultTags));
+  });
   
-  // In a real implementation, you would:
-  // 1. Send unsynced bookmarks to your web app API
-  // 2. Mark them as synced when successful
-  // 3. Handle conflicts and updates
+  if (saved.length > 0) {
+    bookmarks.unshift(...saved);
+    await chrome.storage.local.set({ bookmarks });
+    syncPendingBookmarks();
+  }
+  
+  return { saved, skipped };
+}
+
+function createLocalBookmark(bookmarkData, defaultTags) {
+  return {
+    ...bookmarkData,
+    tags: parseTagList([...defaultTags, ...(bookmarkData.tags || [])].join(',')),
+    id: generateId(),
+    synced: false
+  };
+}
+
+/**
+ * Edit a bookmark from the popup, with changes to any of its fields. Library bookmarks saved elsewhere get
+ * a local entry so the change goes through the normal sync and its retries.
+ */
+async function handleUpdateBookmark(target, changes) {
+  const { bookmarks = [], libraryRecords = {} } = await chrome.storage.local.get(['bookmarks', 'libraryRecords']);
+  const index = bookmarks.findIndex(b => b.id === target.id ||
+    (target.recordName && b.recordName === target.recordName));
+  const local = index >= 0 ? bookmarks[index] : null;
+  const recordName = local?.recordName || target.recordName;
+  // Once synced, the library has the latest tags from other devices
+  const libraryRecord = (!local || local.synced) && libraryRecords[recordName];
+
+  if (!local && !libraryRecord) {
+    throw new Error('Bookmark not found');
+  }
+
+  const modifiedAt = new Date().toISOString();
+  const updated = {
+    ...local,
+    ...libraryRecord,
+    ...changes,
+    id: local ? local.id : generateId(),
+    recordName,
+    modifiedAt,
+    synced: false,
+    syncAttempts: 0,
+    nextSyncAt: null,
+    lastSyncError: null
+  };
+
+  if (local) {
+    bookmarks[index] = updated;
+  } else {
+    bookmarks.unshift(updated);
+  }
+
+  if (libraryRecords[recordName]) {
+    libraryRecords[recordName] = { ...libraryRecords[recordName], ...changes, modifiedAt };
+  }
+
+  await chrome.storage.local.set({ bookmarks, libraryRecords });
+
+  syncPendingBookmarks();
+  return updated;
+}
+
+/**
+ * Delete a bookmark listed in the popup. Anything already in iCloud leaves a
+ * tombstone that sync turns into a soft delete, so the web app drops it too.
+ */
+async function handleDeleteBookmark(target) {
+  const { bookmarks = [], libraryRecords = {} } = await chrome.storage.local.get(['bookmarks', 'libraryRecords']);
+  const existing = bookmarks.find(b => b.id === target.id ||
+    (target.recordName && b.recordName === target.recordName));
+  const recordName = existing?.recordName || target.recordName;
+  const remaining = bookmarks.filter(b => b !== existing);
+
+  if (recordName) {
+    remaining.unshift({
+      id: generateId(),
+      recordName,
+      url: existing?.url || target.url,
+      deleted: true,
+      modifiedAt: new Date().toISOString(),
+      synced: false
+    });
+
+    delete libraryRecords[recordName];
+  }
+
+  await chrome.storage.local.set({ bookmarks: remaining, libraryRecords });
+
+  if (recordName) {
+    syncPendingBookmarks();
+  }
+}
+
+async function setSession(session) {
+  const { session: current } = await chrome.storage.local.get(['session']);
+
+  // A different account means a different library to dedupe against
+  if (!session || !current || current.containerIdentifier !== session.containerIdentifier ||
+      current.userRecordName !== session.userRecordName) {
+    await chrome.storage.local.remove(['librarySyncToken', 'libraryRecords']);
+  }
+
+  if (session) {
+    await chrome.storage.local.set({ session });
+    syncPendingBookmarks();
+  } else {
+    await chrome.storage.local.remove(['session']);
+  }
+}
+
+// Only one sync at a time, callers share the running one
+let syncInProgress = null;
+
+function syncPendingBookmarks() {
+  if (!syncInProgress) {
+    syncInProgress = runSync()
+      .catch(error => {
+        console.error('Bookmark sync failed:', error);
+        return { synced: 0, failed: 0, error: error.message };
+      })
+      .finally(() => {
+        syncInProgress = null;
+      });
+  }
+  return syncInProgress;
+}
+
+/**
+ * Push unsynced bookmarks into the user's Stash library. Bookmarks whose page
+ * is already in the library are linked to that record instead of copied.
+ * Failures are retried with exponential backoff.
+ */
+async function runSync() {
+  const { session, bookmarks = [] } = await chrome.storage.local.get(['session', 'bookmarks']);
+  const now = Date.now();
+  const due = bookmarks.filter(b => !b.synced && (!b.nextSyncAt || b.nextSyncAt <= now));
+
+  if (!session || due.length === 0) {
+    await scheduleRetry();
+    return { synced: 0, failed: 0 };
+  }
+
+  const updates = new Map();
+  let error = null;
+
+  try {
+    await ensureBookmarkZone(session);
+    const library = await refreshLibraryRecords(session);
+    // Don't link new saves to records that are about to be deleted
+    const deleting = new Set(due.filter(b => b.deleted).map(b => b.recordName));
+
+    const toSave = [];
+    due.forEach(bookmark => {
+      const existing = !bookmark.recordName && library.get(canonicalizeURL(bookmark.url));
+
+      if (existing && !deleting.has(existing)) {
+        updates.set(bookmark.id, syncedState(existing));
+      } else {
+        toSave.push(bookmark);
+      }
+    });
+
+    for (let start = 0; start < toSave.length; start += CLOUDKIT_BATCH_SIZE) {
+      const batch = toSave.slice(start, start + CLOUDKIT_BATCH_SIZE);
+      const results = await saveBookmarkRecords(session, batch);
+
+      results.forEach((result, index) => {
+        const bookmark = batch[index];
+        if (result.error) {
+          updates.set(bookmark.id, failedState(bookmark, result.error));
+        } else if (bookmark.deleted) {
+          // Nothing left to keep once the delete is in iCloud
+          updates.set(bookmark.id, { synced: true, remove: true });
+        } else {
+          updates.set(bookmark.id, syncedState(result.recordName));
+        }
+      });
+    }
+  } catch (requestError) {
+    error = requestError;
+
+    if (isCloudKitAuthError(requestError)) {
+      // Wait for the web app to hand over a fresh session
+      await chrome.storage.local.remove(['session']);
+      await notifySyncError('Open Stash and sign in to keep syncing bookmarks saved here.');
+    } else {
+      due.filter(b => !updates.has(b.id)).forEach(bookmark => {
+        updates.set(bookmark.id, failedState(bookmark, requestError));
+      });
+    }
+  }
+
+  await applyBookmarkUpdates(updates);
+  await scheduleRetry();
+
+  const synced = Array.from(updates.values()).filter(update => update.synced).length;
+  if (synced > 0) {
+    await notifyWebAppTabs({ type: 'BOOKMARKS_SYNCED', count: synced });
+  }
+
+  // Only tell the user the first time a bookmark fails, not on every retry
+  const newlyFailed = Array.from(updates.values()).filter(update => update.syncAttempts === 1).length;
+  if (newlyFailed > 0) {
+    await notifySyncError(`${newlyFailed} ${newlyFailed === 1 ? 'bookmark' : 'bookmarks'} couldn't be synced to iCloud. Stash will keep trying.`);
+  }
+
+  if (error) throw error;
+  return { synced, failed: updates.size - synced };
+}
+
+function syncedState(recordName) {
+  return {
+    synced: true,
+    recordName,
+    syncedAt: new Date().toISOString(),
+    syncAttempts: 0,
+    nextSyncAt: null,
+    lastSyncError: null
+  };
+}
+
+function failedState(bookmark, error) {
+  const attempts = (bookmark.syncAttempts || 0) + 1;
+  // CloudKit says how long to back off when it's rate limiting
+  const delay = error.retryAfter
+    ? error.retryAfter * 1000
+    : Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+
+  return {
+    syncAttempts: attempts,
+    nextSyncAt: Date.now() + delay,
+    lastSyncError: error.message
+  };
+}
+
+// Re-read before writing, the popup may have saved bookmarks meanwhile
+async function applyBookmarkUpdates(updates) {
+  if (updates.size === 0) return;
+
+  const { bookmarks = [] } = await chrome.storage.local.get(['bookmarks']);
+  const updated = bookmarks
+    .filter(bookmark => !updates.get(bookmark.id)?.remove)
+    .map(bookmark => (
+      updates.has(bookmark.id) ? { ...bookmark, ...updates.get(bookmark.id) } : bookmark
+    ));
+
+  await chrome.storage.local.set({ bookmarks: updated });
+}
+
+// Bring the library shown in the popup up to date, if signed in
+async function refreshLibrary() {
+  const { session } = await chrome.storage.local.get(['session']);
+  if (!session) return;
+
+  try {
+    await refreshLibraryRecords(session);
+  } catch (error) {
+    if (isCloudKitAuthError(error)) {
+      await chrome.storage.local.remove(['session']);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Map of canonical URL to record name for the whole library, kept current
+ * with zone change tokens so only the first sync downloads everything. The
+ * records themselves are stored as libraryRecords for the popup to list.
+ */
+async function refreshLibraryRecords(session) {
+  const stored = await chrome.storage.local.get(['librarySyncToken', 'libraryRecords']);
+  let records = stored.libraryRecords || {};
+  let changes;
+
+  try {
+    changes = await fetchLibraryChanges(session, stored.librarySyncToken);
+  } catch (error) {
+    if (!EXPIRED_TOKEN_ERRORS.includes(error.code)) throw error;
+
+    records = {};
+    changes = await fetchLibraryChanges(session, null);
+  }
+
+  changes.records.forEach(record => {
+    if (record.removed) {
+      delete records[record.recordName];
+    } else {
+      const { recordName, removed, ...fields } = record;
+      records[recordName] = fields;
+    }
+  });
+
+  // Copies keep their record names, so once the web app has migrated the
+  // default zone these entries are simply taken over by the changes above
+  if (!session.defaultZoneMigrated) {
+    (await fetchDefaultZoneRecords(session)).forEach(({ recordName, removed, ...fields }) => {
+      if (!records[recordName]) records[recordName] = fields;
+    });
+  }
+
+  await chrome.storage.local.set({
+    librarySyncToken: changes.syncToken,
+    libraryRecords: records
+  });
+
+  const library = new Map();
+  Object.entries(records).forEach(([recordName, record]) => {
+    const key = canonicalizeURL(record.url);
+    if (!library.has(key)) library.set(key, recordName);
+  });
+  return library;
+}
+
+// Wake up again when the earliest failed bookmark is due for another try
+async function scheduleRetry() {
+  const { bookmarks = [] } = await chrome.storage.local.get(['bookmarks']);
+  const next = bookmarks
+    .filter(b => !b.synced && b.nextSyncAt)
+    .reduce((earliest, b) => Math.min(earliest, b.nextSyncAt), Infinity);
+
+  if (next === Infinity) {
+    await chrome.alarms.clear(RETRY_ALARM);
+  } else {
+    chrome.alarms.create(RETRY_ALARM, { when: Math.max(next, Date.now() + 1000) });
+  }
+}
+
+async function notifySyncError(message) {
+  const { notifyOnSyncError } = await getSettings();
+  if (!notifyOnSyncError) return;
   
-  console.log(`${bookmarks.filter(b => !b.synced).length} bookmarks pending sync`);
+  showNotification(message);
+}
+
+function showNotification(message) {
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icons/icon48.png',
+    title: 'Stash',
+    message
+  });
+}
+
+async function notifyWebAppTabs(message) {
+  try {
+    const origin = await getWebAppOrigin();
+    if (!origin) return;
+    
+    const webAppTabs = await chrome.tabs.query({ url: `${origin}/*` });
+
+    for (const tab of webAppTabs) {
+      chrome.tabs.sendMessage(tab.id, message).catch(() => {
+        // Tab might not have content script, ignore
+      });
+    }
+  } catch (error) {
+    // Web app not open, that's fine
+  }
+}
+
+/**
+ * Run content.js on the web app origin only, and only once the user has
+ * granted access to it. Drops access to the previous origin when it changes.
+ */
+async function registerBridgeScript(previousURL) {
+  try {
+    const origin = await getWebAppOrigin();
+    const previousOrigin = originOf(previousURL);
+    
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [BRIDGE_SCRIPT_ID] });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [BRIDGE_SCRIPT_ID] });
+    }
+    
+    if (previousOrigin && previousOrigin !== origin) {
+      await chrome.permissions.remove({ origins: [`${previousOrigin}/*`] });
+    }
+    
+    if (!origin || !(await chrome.permissions.contains({ origins: [`${origin}/*`] }))) {
+      return;
+    }
+    
+    await chrome.scripting.registerContentScripts([{
+      id: BRIDGE_SCRIPT_ID,
+      matches: [`${origin}/*`],
+      js: ['config.js', 'content.js'],
+      runAt: 'document_idle'
+    }]);
+  } catch (error) {
+    console.error('Failed to register the web app bridge:', error);
+  }
 }
 
 function generateId() {
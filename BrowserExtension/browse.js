@@ -0,0 +1,220 @@
+// Browse view of the popup: bookmarks saved in this browser together with the
+// synced library, searchable, with inline editing and delete.
+
+// Long libraries are narrowed down with search rather than scrolled
+const MAX_LISTED_BOOKMARKS = 100;
+
+let browseBookmarks = [];
+let editingBookmarkId = null;
+let confirmingDeleteId = null;
+
+async function initBrowseView() {
+  const searchInput = document.getElementById('search');
+  searchInput.addEventListener('input', renderBookmarkList);
+
+  // Sync and other popups change storage underneath us
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.bookmarks || changes.libraryRecords)) {
+      loadBrowseBookmarks();
+    }
+  });
+
+  await loadBrowseBookmarks();
+  searchInput.focus();
+
+  // Show what's cached right away, then pick up changes from other devices
+  chrome.runtime.sendMessage({ type: 'REFRESH_LIBRARY' }).catch(() => {
+    // Worker unreachable, the cached library will do
+  });
+}
+
+async function loadBrowseBookmarks() {
+  const { bookmarks = [], libraryRecords = {} } = await chrome.storage.local.get(['bookmarks', 'libraryRecords']);
+  browseBookmarks = mergeWithLibrary(bookmarks, libraryRecords);
+
+  // Don't throw away what the user is typing
+  if (!editingBookmarkId) {
+    renderBookmarkList();
+  }
+}
+
+/**
+ * One list of local and library bookmarks, newest first. Unsynced local
+ * changes win; once synced the library copy is the latest.
+ */
+function mergeWithLibrary(bookmarks, libraryRecords) {
+  const byRecordName = new Map();
+  const merged = [];
+
+  bookmarks.forEach(bookmark => {
+    if (bookmark.recordName) byRecordName.set(bookmark.recordName, bookmark);
+    if (bookmark.deleted) return;
+
+    const libraryRecord = bookmark.synced && libraryRecords[bookmark.recordName];
+    merged.push(libraryRecord ? { ...bookmark, ...libraryRecord } : bookmark);
+  });
+
+  Object.entries(libraryRecords).forEach(([recordName, record]) => {
+    if (byRecordName.has(recordName)) return;
+    merged.push({ ...record, id: `library-${recordName}`, recordName, synced: true });
+  });
+
+  return merged.sort((a, b) => (Date.parse(b.createdAt) || 0) - (Date.parse(a.createdAt) || 0));
+}
+
+// Every search word has to appear in the title, URL, notes or tags
+function filterBookmarks(bookmarks, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return bookmarks;
+
+  return bookmarks.filter(bookmark => {
+    const text = [bookmark.title, bookmark.url, bookmark.notes, ...(bookmark.tags || [])]
+      .join(' ')
+      .toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+}
+
+function renderBookmarkList() {
+  const list = document.getElementById('bookmarkList');
+  const empty = document.getElementById('browseEmpty');
+  const query = document.getElementById('search').value;
+  const matches = filterBookmarks(browseBookmarks, query);
+
+  list.replaceChildren(...matches.slice(0, MAX_LISTED_BOOKMARKS).map(renderBookmarkItem));
+
+  if (matches.length === 0) {
+    empty.textContent = browseBookmarks.length === 0 ? 'No bookmarks yet' : 'No bookmarks match your search';
+    empty.style.display = 'block';
+  } else if (matches.length > MAX_LISTED_BOOKMARKS) {
+    empty.textContent = `Showing ${MAX_LISTED_BOOKMARKS} of ${matches.length}, search to narrow down`;
+    empty.style.display = 'block';
+  } else {
+    empty.style.display = 'none';
+  }
+}
+
+function renderBookmarkItem(bookmark) {
+  const item = document.createElement('div');
+  item.className = 'bookmark-item';
+
+  if (bookmark.id === editingBookmarkId) {
+    renderEditForm(item, bookmark);
+    return item;
+  }
+
+  const title = document.createElement('a');
+  title.className = 'bookmark-item-title';
+  title.href = bookmark.url;
+  title.textContent = bookmark.title || bookmark.url;
+  title.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: bookmark.url });
+  });
+  item.appendChild(title);
+
+  const url = document.createElement('div');
+  url.className = 'bookmark-item-url';
+  url.textContent = bookmark.url;
+  item.appendChild(url);
+
+  if (bookmark.notes) {
+    const notes = document.createElement('div');
+    notes.className = 'bookmark-item-notes';
+    notes.textContent = bookmark.notes;
+    item.appendChild(notes);
+  }
+
+  if (!bookmark.synced) {
+    const pending = document.createElement('div');
+    pending.className = 'bookmark-item-pending';
+    pending.textContent = bookmark.lastSyncError ? `Not synced: ${bookmark.lastSyncError}` : 'Waiting to sync';
+    item.appendChild(pending);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'bookmark-item-actions';
+
+  actions.appendChild(createLinkButton('Edit', () => {
+    editingBookmarkId = bookmark.id;
+    confirmingDeleteId = null;
+    renderBookmarkList();
+  }));
+
+  const confirming = confirmingDeleteId === bookmark.id;
+  const deleteButton = createLinkButton(confirming ? 'Really delete?' : 'Delete', () => {
+    if (confirming) {
+      deleteBrowseBookmark(bookmark);
+    } else {
+      confirmingDeleteId = bookmark.id;
+      renderBookmarkList();
+    }
+  });
+  deleteButton.classList.add('danger');
+  actions.appendChild(deleteButton);
+
+  item.appendChild(actions);
+  return item;
+}
+
+function renderEditForm(item, bookmark) {
+  const titleInput = document.createElement('input');
+  titleInput.type = 'text';
+  titleInput.className = 'form-input';
+  titleInput.placeholder = 'Title';
+  titleInput.value = bookmark.title || '';
+
+  const notesInput = document.createElement('textarea');
+  notesInput.className = 'form-input form-textarea';
+  notesInput.placeholder = 'Notes';
+  notesInput.value = bookmark.notes || '';
+
+  const actions = document.createElement('div');
+  actions.className = 'bookmark-item-actions';
+  actions.appendChild(createLinkButton('Save', () => {
+    updateBrowseBookmark(bookmark, {
+      title: titleInput.value.trim() || null,
+      notes: notesInput.value.trim() || null
+    });
+  }));
+  actions.appendChild(createLinkButton('Cancel', () => {
+    editingBookmarkId = null;
+    renderBookmarkList();
+  }));
+
+  item.append(titleInput, notesInput, actions);
+  setTimeout(() => titleInput.focus());
+}
+
+function createLinkButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'link-button';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+async function updateBrowseBookmark(bookmark, changes) {
+  const response = await chrome.runtime.sendMessage({ type: 'UPDATE_BOOKMARK', bookmark, changes });
+
+  if (!response?.success) {
+    showStatus(response?.error || 'Failed to update bookmark', 'error');
+    return;
+  }
+
+  editingBookmarkId = null;
+  await loadBrowseBookmarks();
+}
+
+async function deleteBrowseBookmark(bookmark) {
+  confirmingDeleteId = null;
+  const response = await chrome.runtime.sendMessage({ type: 'DELETE_BOOKMARK', bookmark });
+
+  if (!response?.success) {
+    showStatus(response?.error || 'Failed to delete bookmark', 'error');
+    return;
+  }
+
+  await loadBrowseBookmarks();
+}
@@ -0,0 +1,271 @@
+// Minimal CloudKit Web Services client for the background worker.
+// It signs requests with the session the Stash web app hands over
+// (see Web/src/services/ExtensionBridge.js), so no Stash tab needs to be open.
+
+const CLOUDKIT_API = 'https://api.apple-cloudkit.com/database/1';
+
+// Records per modify request, matching the web app's batch size
+const CLOUDKIT_BATCH_SIZE = 100;
+
+// Server errors meaning a stored sync token can't be used anymore
+const EXPIRED_TOKEN_ERRORS = ['CHANGE_TOKEN_EXPIRED', 'ZONE_NOT_FOUND', 'USER_DELETED_ZONE'];
+
+class CloudKitRequestError extends Error {
+  constructor(message, { status, code, retryAfter } = {}) {
+    super(message);
+    this.name = 'CloudKitRequestError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+async function cloudKitRequest(session, path, body) {
+  const params = new URLSearchParams({
+    ckAPIToken: session.apiToken,
+    ckWebAuthToken: session.webAuthToken
+  });
+  const url = `${CLOUDKIT_API}/${encodeURIComponent(session.containerIdentifier)}/${session.environment}/private/${path}?${params}`;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new CloudKitRequestError(data.reason || `CloudKit request failed (${response.status})`, {
+      status: response.status,
+      code: data.serverErrorCode,
+      retryAfter: data.retryAfter
+    });
+  }
+
+  return data;
+}
+
+function isCloudKitAuthError(error) {
+  return error.status === 401 ||
+    error.status === 421 ||
+    error.code === 'AUTHENTICATION_FAILED' ||
+    error.code === 'AUTHENTICATION_REQUIRED';
+}
+
+function zoneIDFor(session) {
+  return { zoneName: session.zoneName };
+}
+
+// Create the bookmark zone if this account has never used Stash on the web
+async function ensureBookmarkZone(session) {
+  const data = await cloudKitRequest(session, 'zones/lookup', { zones: [zoneIDFor(session)] });
+  const [zone] = data.zones || [];
+
+  if (zone && zone.serverErrorCode) {
+    await cloudKitRequest(session, 'zones/modify', {
+      operations: [{ operationType: 'create', zone: { zoneID: zoneIDFor(session) } }]
+    });
+  }
+}
+
+// The fields the popup shows
+const LIBRARY_RECORD_KEYS = ['url', 'title', 'notes', 'tags', 'createdAt', 'modifiedAt', 'isDeleted'];
+
+function toLibraryRecord(record) {
+  const fields = record.fields || {};
+
+  return {
+    recordName: record.recordName,
+    url: fields.url?.value || '',
+    title: fields.title?.value || '',
+    notes: fields.notes?.value || '',
+    tags: fields.tags?.value || [],
+    createdAt: timestampToISO(fields.createdAt?.value),
+    modifiedAt: timestampToISO(fields.modifiedAt?.value),
+    removed: Boolean(record.deleted) || fields.isDeleted?.value === 1
+  };
+}
+
+/**
+ * Bookmarks changed since syncToken (everything when it's null), with the
+ * fields the popup shows. Returns { records, syncToken } where removed records
+ * have removed: true. Throws a CloudKitRequestError with an EXPIRED_TOKEN_ERRORS
+ * code when the token can't be used.
+ */
+async function fetchLibraryChanges(session, syncToken) {
+  const records = [];
+  let token = syncToken || undefined;
+  let moreComing = true;
+
+  while (moreComing) {
+    const data = await cloudKitRequest(session, 'changes/zone', {
+      zones: [{
+        zoneID: zoneIDFor(session),
+        syncToken: token,
+        desiredKeys: LIBRARY_RECORD_KEYS,
+        resultsLimit: 200
+      }]
+    });
+    const [zone] = data.zones || [];
+
+    if (!zone || zone.serverErrorCode) {
+      throw new CloudKitRequestError(zone?.reason || 'Could not fetch changes', { code: zone?.serverErrorCode });
+    }
+
+    (zone.records || []).forEach(record => {
+      // Collections share the zone. Hard deletes come back without a type.
+      if (record.recordType && record.recordType !== 'URLBookmark') return;
+
+      records.push(toLibraryRecord(record));
+    });
+
+    token = zone.syncToken;
+    moreComing = Boolean(zone.moreComing);
+  }
+
+  return { records, syncToken: token };
+}
+
+/**
+ * Bookmarks still in the default zone, where the web app saved them before
+ * the bookmark zone existed. Read until the web app has copied them over
+ * (session.defaultZoneMigrated). Records as for fetchLibraryChanges.
+ */
+async function fetchDefaultZoneRecords(session) {
+  const records = [];
+  let continuationMarker;
+
+  do {
+    const data = await cloudKitRequest(session, 'records/query', {
+      zoneID: { zoneName: '_defaultZone' },
+      query: {
+        recordType: 'URLBookmark',
+        filterBy: [{ fieldName: 'isDeleted', comparator: 'EQUALS', fieldValue: { value: 0 } }]
+      },
+      desiredKeys: LIBRARY_RECORD_KEYS,
+      resultsLimit: 200,
+      continuationMarker
+    });
+
+    (data.records || []).forEach(record => records.push(toLibraryRecord(record)));
+    continuationMarker = data.continuationMarker;
+  } while (continuationMarker);
+
+  return records;
+}
+
+// CloudKit field for each page metadata field (see metadata.js). description
+// clashes with NSObject on the Apple clients, so it's stored as pageDescription.
+const METADATA_RECORD_FIELDS = {
+  canonicalURL: 'canonicalURL',
+  description: 'pageDescription',
+  imageURL: 'imageURL',
+  siteName: 'siteName',
+  author: 'author',
+  publishedAt: 'publishedAt',
+  language: 'language'
+};
+
+function timestampToISO(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Only the metadata the bookmark has, so updates don't wipe what's stored
+function metadataFields(bookmark) {
+  const fields = {};
+
+  Object.entries(METADATA_RECORD_FIELDS).forEach(([key, fieldName]) => {
+    if (!bookmark[key]) return;
+    fields[fieldName] = {
+      value: key === 'publishedAt' ? Date.parse(bookmark[key]) : bookmark[key]
+    };
+  });
+
+  return fields;
+}
+
+function bookmarkFields(bookmark) {
+  const fields = {
+    url: { value: bookmark.url },
+    title: { value: bookmark.title || '' },
+    notes: { value: bookmark.notes || '' },
+    createdAt: { value: Date.parse(bookmark.createdAt) || Date.now() },
+    modifiedAt: { value: Date.parse(bookmark.modifiedAt) || Date.now() },
+    isDeleted: { value: 0 },
+    ...metadataFields(bookmark)
+  };
+
+  if (bookmark.tags && bookmark.tags.length > 0) {
+    fields.tags = { value: bookmark.tags };
+  }
+
+  return fields;
+}
+
+// Create, update or soft delete the bookmarks, one { recordName } or { error } each
+async function saveBookmarkRecords(session, bookmarks) {
+  const operations = bookmarks.map(bookmark => {
+    if (bookmark.recordName && bookmark.deleted) {
+      return {
+        operationType: 'forceUpdate',
+        record: {
+          recordType: 'URLBookmark',
+          recordName: bookmark.recordName,
+          fields: {
+            isDeleted: { value: 1 },
+            // Starts the web app's trash retention period
+            deletedAt: { value: Date.parse(bookmark.modifiedAt) || Date.now() },
+            modifiedAt: { value: Date.parse(bookmark.modifiedAt) || Date.now() }
+          }
+        }
+      };
+    }
+
+    if (bookmark.recordName) {
+      // forceUpdate only touches the fields we send, the URL and dates
+      // set elsewhere are left alone
+      return {
+        operationType: 'forceUpdate',
+        record: {
+          recordType: 'URLBookmark',
+          recordName: bookmark.recordName,
+          fields: {
+            title: { value: bookmark.title || '' },
+            notes: { value: bookmark.notes || '' },
+            tags: { value: bookmark.tags || [] },
+            modifiedAt: { value: Date.parse(bookmark.modifiedAt) || Date.now() },
+            ...metadataFields(bookmark)
+          }
+        }
+      };
+    }
+
+    return {
+      operationType: 'create',
+      record: {
+        recordType: 'URLBookmark',
+        recordName: crypto.randomUUID(),
+        fields: bookmarkFields(bookmark)
+      }
+    };
+  });
+
+  const data = await cloudKitRequest(session, 'records/modify', {
+    zoneID: zoneIDFor(session),
+    atomic: false,
+    operations
+  });
+
+  // One entry per operation, either the saved record or an error
+  return operations.map((operation, index) => {
+    const result = (data.records || [])[index];
+
+    if (result && !result.serverErrorCode) {
+      return { recordName: result.recordName };
+    }
+
+    return {
+      error: new CloudKitRequestError(result?.reason || 'Not saved', { code: result?.serverErrorCode })
+    };
+  });
+}
@@ -0,0 +1,48 @@
+// Extension settings, edited on the options page and kept in chrome.storage.sync
+// so they follow the user between browsers.
+
+const DEFAULT_SETTINGS = {
+  // Where the Stash web app is served. The bridge only talks to pages on
+  // exactly this origin.
+  webAppURL: '',
+  // Added to every bookmark saved from the popup or context menu
+  defaultTags: [],
+  notifyOnSave: true,
+  notifyOnSyncError: true,
+  // Save bookmarks added in the browser to Stash as well
+  mirrorNativeBookmarks: false
+};
+
+async function getSettings() {
+  const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+  return { ...DEFAULT_SETTINGS, ...stored };
+}
+
+function originOf(url) {
+  try {
+    const { protocol, origin } = new URL(url);
+    return protocol === 'https:' || protocol === 'http:' ? origin : null;
+  } catch {
+    return null;
+  }
+}
+
+async function getWebAppOrigin() {
+  const { webAppURL } = await getSettings();
+  return originOf(webAppURL);
+}
+
+// Trim, drop empties and de-duplicate case-insensitively, like the web app does
+function parseTagList(value) {
+  const seen = new Set();
+
+  return String(value || '')
+    .split(',')
+    .map(tag => tag.trim().replace(/\s+/g, ' '))
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
@@ -1,84 +1,171 @@
 // Content Script for Web App Communication
-(function() {
+//
+// Talks to the Stash web app over window.postMessage using the web app's
+// bridge protocol (Web/src/services/ExtensionBridge.js): messages carry a
+// channel, who sent them, and an id that ties each response to its request.
+// Only this window on the web app origin from the options page is ever
+// trusted or posted to.
+(async function() {
   'use strict';
   
+  const CHANNEL = 'stash-bridge';
+  const API_VERSION = 1;
+  const REQUEST_TIMEOUT = 5000;
+  
+  // The script is only registered for this origin, but check anyway.
+  // Exact match, a hostname substring would also match look-alike domains.
+  const webAppOrigin = await getWebAppOrigin();
+  
+  if (!webAppOrigin || window.location.origin !== webAppOrigin) {
+    return;
+  }
+  
+  const pendingRequests = new Map();
+  let nextRequestId = 0;
+  
+  function post(message) {
+    window.postMessage({ channel: CHANNEL, version: API_VERSION, from: 'extension', ...message }, webAppOrigin);
+  }
+  
+  // Call a window.StashApp method in the page
+  function requestApp(method, params) {
+    const id = `ext-${Date.now().toString(36)}-${nextRequestId++}`;
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pendingRequests.delete(id);
+        reject(new Error('Stash web app did not respond'));
+      }, REQUEST_TIMEOUT);
+      
+      pendingRequests.set(id, { resolve, reject, timer });
+      post({ type: 'request', id, method, params });
+    });
+  }
+  
+  // Requests the page may make of the extension
+  function handleAppRequest(message) {
+    if (message.method !== 'saveBookmark') {
+      post({ type: 'response', id: message.id, error: `Unknown method: ${message.method}` });
+      return;
+    }
+    
+    chrome.runtime.sendMessage({ type: 'SAVE_BOOKMARK', data: message.params }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        post({ type: 'response', id: message.id, error: 'Extension is not available' });
+      } else if (response.success) {
+        post({ type: 'response', id: message.id, result: response.data });
+      } else {
+        post({ type: 'response', id: message.id, error: response.error });
+      }
+    });
+  }
+  
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || event.origin !== webAppOrigin) return;
+    
+    const message = event.data;
+    if (!message || message.channel !== CHANNEL || message.from !== 'app') return;
+    
+    if (message.type === 'response' && pendingRequests.has(message.id)) {
+      const { resolve, reject, timer } = pendingRequests.get(message.id);
+      pendingRequests.delete(message.id);
+      clearTimeout(timer);
+      
+      if (message.error) {
+        reject(new Error(message.error));
+      } else {
+        resolve(message.result);
+      }
+    } else if (message.type === 'request') {
+      handleAppRequest(message);
+    } else if (message.type === 'event' && message.event === 'session') {
+      // The background worker syncs with this session when no tab is open
+      chrome.runtime.sendMessage({ type: 'SET_SESSION', session: message.data });
+    }
+  });
+  
   // Listen for messages from extension
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === 'NEW_BOOKMARK') {
-      handleNewBookmarkFromExtension(message.data);
+    if (message.type === 'BOOKMARKS_SYNCED') {
+      // The background worker pushed bookmarks into iCloud, let the app refresh
+      requestApp('libraryChanged').catch(() => {});
       sendResponse({ received: true });
     }
+    
+    if (message.type === 'STASH_APP_REQUEST') {
+      // Popup or background calling window.StashApp through this tab
+      requestApp(message.method, message.params)
+        .then(result => sendResponse({ success: true, data: result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Keep message channel open for async response
+    }
   });
   
-  // Check if this is the Stash web app
-  const isWebApp = window.location.hostname.includes('your-web-app-domain.com'); // Update with your domain
-  
-  if (isWebApp) {
-    // Inject extension bridge for web app
-    injectExtensionBridge();
-  }
+  injectExtensionBridge();
   
-  function handleNewBookmarkFromExtension(bookmarkData) {
-    // If this is the web app, trigger a refresh or add the bookmark directly
-    if (isWebApp && window.StashApp) {
-      window.StashApp.addBookmarkFromExtension(bookmarkData);
-    }
-  }
+  // The app may have shared its session before we were injected
+  requestApp('getSession')
+    .then(session => chrome.runtime.sendMessage({ type: 'SET_SESSION', session }))
+    .catch(() => {
+      // Not a Stash page after all, or still loading; it sends the session when ready
+    });
   
   function injectExtensionBridge() {
-    // Create a bridge between extension and web app
+    // window.StashExtension lets the web app save through the extension,
+    // using the same channel and origin rules as above
     const script = document.createElement('script');
     script.textContent = `
-      window.StashExtension = {
-        isAvailable: true,
-        saveBookmark: function(bookmarkData) {
-          return new Promise((resolve, reject) => {
-            window.postMessage({
-              type: 'EXTENSION_SAVE_BOOKMARK',
-              data: bookmarkData
-            }, '*');
+      (function() {
+        var origin = ${JSON.stringify(webAppOrigin)};
+        var nextId = 0;
+        
+        window.StashExtension = {
+          isAvailable: true,
+          version: ${API_VERSION},
+          saveBookmark: function(bookmarkData) {
+            var id = 'page-' + Date.now().toString(36) + '-' + (nextId++);
             
-            // Listen for response
-            const handleResponse = (event) => {
-              if (event.data.type === 'EXTENSION_SAVE_RESPONSE') {
-                window.removeEventListener('message', handleResponse);
-                if (event.data.success) {
-                  resolve(event.data.data);
+            return new Promise(function(resolve, reject) {
+              function handleResponse(event) {
+                var message = event.data;
+                if (event.source !== window || event.origin !== origin) return;
+                if (!message || message.channel !== '${CHANNEL}' || message.from !== 'extension') return;
+                if (message.type !== 'response' || message.id !== id) return;
+                
+                cleanup();
+                if (message.error) {
+                  reject(new Error(message.error));
                 } else {
-                  reject(new Error(event.data.error));
+                  resolve(message.result);
                 }
               }
-            };
-            
-            window.addEventListener('message', handleResponse);
-            
-            // Timeout after 5 seconds
-            setTimeout(() => {
-              window.removeEventListener('message', handleResponse);
-              reject(new Error('Extension timeout'));
-            }, 5000);
-          });
-        }
-      };
+              
+              var timer = setTimeout(function() {
+                cleanup();
+                reject(new Error('Extension timeout'));
+              }, ${REQUEST_TIMEOUT});
+              
+              function cleanup() {
+                clearTimeout(timer);
+                window.removeEventListener('message', handleResponse);
+              }
+              
+              window.addEventListener('message', handleResponse);
+              window.postMessage({
+                channel: '${CHANNEL}',
+                version: ${API_VERSION},
+                from: 'app',
+                type: 'request',
+                id: id,
+                method: 'saveBookmark',
+                params: bookmarkData
+              }, origin);
+            });
+          }
+        };
+      })();
     `;
     document.documentElement.appendChild(script);
     script.remove();
-    
-    // Listen for messages from web app
-    window.addEventListener('message', (event) => {
-      if (event.data.type === 'EXTENSION_SAVE_BOOKMARK') {
-        chrome.runtime.sendMessage({
-          type: 'SAVE_BOOKMARK',
-          data: event.data.data
-        }, (response) => {
-          window.postMessage({
-            type: 'EXTENSION_SAVE_RESPONSE',
-            success: response.success,
-            data: response.data,
-            error: response.error
-          }, '*');
-        });
-      }
-    });
   }
 })();
@@ -0,0 +1,50 @@
+// Page details beyond the tab's URL and title, shared by the popup and the
+// context menu. They're read in the page itself by pageMetadata.js.
+
+// Stored on the bookmark and synced with it. The page title goes into the
+// bookmark title and the selection into its notes instead.
+const PAGE_METADATA_FIELDS = [
+  'canonicalURL',
+  'description',
+  'imageURL',
+  'siteName',
+  'author',
+  'publishedAt',
+  'language'
+];
+
+/**
+ * Metadata of the page in tabId, or {} when it can't be read (browser pages,
+ * the web store, or no activeTab grant).
+ */
+async function capturePageMetadata(tabId) {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['pageMetadata.js']
+    });
+    return injection?.result || {};
+  } catch (error) {
+    console.warn('Could not read page metadata:', error.message);
+    return {};
+  }
+}
+
+// Just the fields kept on the bookmark, without empty ones
+function pickPageMetadata(metadata) {
+  const picked = {};
+
+  PAGE_METADATA_FIELDS.forEach(field => {
+    if (metadata[field]) picked[field] = metadata[field];
+  });
+
+  return picked;
+}
+
+// What the user highlighted, then what the page says about itself
+function notesFromMetadata(metadata) {
+  return [metadata.selection, metadata.description]
+    .filter(Boolean)
+    .filter((text, index, texts) => index === 0 || !texts[0].includes(text))
+    .join('\n\n');
+}
@@ -0,0 +1,62 @@
+// The browser's own bookmarks, imported from the options page and optionally
+// mirrored as they're added. Folder paths become tags like "Work/Projects".
+// The browser's top-level folders (bookmarks bar, other bookmarks) aren't
+// part of the path.
+
+function folderPathTag(path) {
+  // parseTagList splits on commas
+  return path.map(title => title.replace(/\s*,\s*/g, ' ').trim()).join('/');
+}
+
+function nativeBookmarkData(node, path) {
+  const addedAt = new Date(node.dateAdded || Date.now()).toISOString();
+
+  return {
+    url: node.url,
+    title: node.title || '',
+    notes: null,
+    tags: path.length > 0 ? [folderPathTag(path)] : [],
+    createdAt: addedAt,
+    modifiedAt: addedAt
+  };
+}
+
+/**
+ * Bookmark data for everything directly inside the chosen folders of tree
+ * (from chrome.bookmarks.getTree), tagged with its folder path and keeping
+ * the date it was bookmarked.
+ */
+function collectNativeBookmarks(tree, folderIds) {
+  const chosen = new Set(folderIds);
+  const collected = [];
+
+  function walk(folder, path) {
+    (folder.children || []).forEach(child => {
+      if (child.url) {
+        if (chosen.has(folder.id)) collected.push(nativeBookmarkData(child, path));
+      } else {
+        walk(child, folder.parentId === undefined ? [] : [...path, child.title]);
+      }
+    });
+  }
+
+  tree.forEach(root => walk(root, []));
+  return collected;
+}
+
+// Titles of the folders from the top down to folderId, for mirroring
+async function getNativeFolderPath(folderId) {
+  const path = [];
+  let [folder] = await chrome.bookmarks.get(folderId);
+
+  while (folder?.parentId) {
+    const [parent] = await chrome.bookmarks.get(folder.parentId);
+    // Stop at the browser's top-level folders
+    if (!parent.parentId) break;
+
+    path.unshift(folder.title);
+    folder = parent;
+  }
+
+  return path;
+}
@@ -0,0 +1,136 @@
+// Browser Extension Options Script
+document.addEventListener('DOMContentLoaded', async () => {
+  const form = document.getElementById('optionsForm');
+  const webAppURLInput = document.getElementById('webAppURL');
+  const defaultTagsInput = document.getElementById('defaultTags');
+  const notifyOnSaveInput = document.getElementById('notifyOnSave');
+  const notifyOnSyncErrorInput = document.getElementById('notifyOnSyncError');
+
+  const settings = await getSettings();
+  webAppURLInput.value = settings.webAppURL;
+  defaultTagsInput.value = settings.defaultTags.join(', ');
+  notifyOnSaveInput.checked = settings.notifyOnSave;
+  notifyOnSyncErrorInput.checked = settings.notifyOnSyncError;
+  
+  setupNativeImport(settings);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const origin = originOf(webAppURLInput.value.trim());
+    if (!origin) {
+      showStatus('Enter an http or https URL', 'error');
+      return;
+    }
+
+    try {
+      // Needed to run the bridge on the web app, ask while we have the click
+      const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+      if (!granted) {
+        showStatus('Stash needs access to the web app to sync with it', 'error');
+        return;
+      }
+
+      await chrome.storage.sync.set({
+        webAppURL: origin,
+        defaultTags: parseTagList(defaultTagsInput.value),
+        notifyOnSave: notifyOnSaveInput.checked,
+        notifyOnSyncError: notifyOnSyncErrorInput.checked
+      });
+
+      webAppURLInput.value = origin;
+      showStatus('Saved', 'success');
+    } catch (error) {
+      console.error('Failed to save options:', error);
+      showStatus('Failed to save options', 'error');
+    }
+  });
+});
+
+// Import from the browser's bookmark tree, and mirroring of new bookmarks
+async function setupNativeImport(settings) {
+  const mirrorInput = document.getElementById('mirrorNativeBookmarks');
+  const folderTree = document.getElementById('folderTree');
+  const importButton = document.getElementById('importFolders');
+  
+  mirrorInput.checked = settings.mirrorNativeBookmarks;
+  mirrorInput.addEventListener('change', () => {
+    chrome.storage.sync.set({ mirrorNativeBookmarks: mirrorInput.checked });
+  });
+  
+  const [root] = await chrome.bookmarks.getTree();
+  folderTree.replaceChildren(buildFolderList(root.children));
+  
+  importButton.addEventListener('click', async () => {
+    const folderIds = Array.from(folderTree.querySelectorAll('input:checked')).map(input => input.value);
+    
+    if (folderIds.length === 0) {
+      showStatus('Choose at least one folder', 'error', 'importStatus');
+      return;
+    }
+    
+    importButton.disabled = true;
+    showStatus('Importing...', 'success', 'importStatus');
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'IMPORT_NATIVE_BOOKMARKS', folderIds });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Import failed');
+      }
+      
+      const { saved, skipped } = response.data;
+      const skippedText = skipped > 0 ? `, skipped ${skipped} already in Stash or not web pages` : '';
+      showStatus(`Imported ${saved} ${saved === 1 ? 'bookmark' : 'bookmarks'}${skippedText}`, 'success', 'importStatus');
+    } catch (error) {
+      console.error('Failed to import browser bookmarks:', error);
+      showStatus('Failed to import bookmarks', 'error', 'importStatus');
+    } finally {
+      importButton.disabled = false;
+    }
+  });
+}
+
+// Nested checkboxes for the folders among nodes, with their bookmark counts
+function buildFolderList(nodes) {
+  const list = document.createElement('ul');
+  list.className = 'folder-list';
+  
+  nodes.filter(node => !node.url).forEach(folder => {
+    const item = document.createElement('li');
+    const label = document.createElement('label');
+    label.className = 'checkbox';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = folder.id;
+    checkbox.addEventListener('change', () => {
+      // Subfolders follow their parent
+      item.querySelectorAll('input').forEach(input => {
+        input.checked = checkbox.checked;
+      });
+    });
+    
+    const count = (folder.children || []).filter(node => node.url).length;
+    label.append(checkbox, `${folder.title || 'Untitled folder'} (${count})`);
+    item.appendChild(label);
+    
+    const subfolders = buildFolderList(folder.children || []);
+    if (subfolders.children.length > 0) {
+      item.appendChild(subfolders);
+    }
+    
+    list.appendChild(item);
+  });
+  
+  return list;
+}
+
+function showStatus(message, type, statusId = 'status') {
+  const statusDiv = document.getElementById(statusId);
+  statusDiv.textContent = message;
+  statusDiv.className = `status ${type}`;
+
+  setTimeout(() => {
+    statusDiv.textContent = '';
+  }, 3000);
+}
@@ -0,0 +1,47 @@
+// Injected into the tab being saved (see capturePageMetadata in metadata.js)
+// to read what the tabs API doesn't expose. It runs in the page, so it has to
+// be self-contained; the value of the last expression is the result.
+(() => {
+  const MAX_SELECTION_LENGTH = 2000;
+
+  // First non-empty <meta> content, matched by property (OpenGraph) or name
+  function meta(...names) {
+    for (const name of names) {
+      const element = document.querySelector(`meta[property="${name}" i], meta[name="${name}" i]`);
+      const content = element?.getAttribute('content')?.trim();
+      if (content) return content;
+    }
+    return null;
+  }
+
+  // Relative URLs are common in og:image and canonical links
+  function absoluteURL(value) {
+    if (!value) return null;
+
+    try {
+      const url = new URL(value, document.baseURI);
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function isoDate(value) {
+    const time = Date.parse(value || '');
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+  }
+
+  const selection = (window.getSelection()?.toString() || '').trim();
+
+  return {
+    canonicalURL: absoluteURL(document.querySelector('link[rel~="canonical" i]')?.getAttribute('href')),
+    title: meta('og:title', 'twitter:title'),
+    description: meta('og:description', 'twitter:description', 'description'),
+    imageURL: absoluteURL(meta('og:image', 'og:image:url', 'twitter:image', 'twitter:image:src')),
+    siteName: meta('og:site_name', 'application-name'),
+    author: meta('author', 'article:author', 'twitter:creator'),
+    publishedAt: isoDate(meta('article:published_time', 'datePublished', 'date', 'dc.date', 'dcterms.created')),
+    language: document.documentElement.lang || meta('og:locale') || null,
+    selection: selection.slice(0, MAX_SELECTION_LENGTH) || null
+  };
+})();
@@ -3,22 +3,52 @@ document.addEventListener('DOMContentLoaded', async () => {
   const urlInput = document.getElementById('url');
   const titleInput = document.getElementById('title');
   const notesInput = document.getElementById('notes');
+  const tagsInput = document.getElementById('tags');
   const saveButton = document.getElementById('saveButton');
   const statusDiv = document.getElementById('status');
   const openWebAppLink = document.getElementById('openWebApp');
   
+  const settings = await getSettings();
+  const webAppOrigin = originOf(settings.webAppURL);
+  
+  tagsInput.value = settings.defaultTags.join(', ');
+  
+  // Filled in from the page itself once the tab is known
+  let pageMetadata = {};
+  // The bookmark being edited when this page is already in Stash
+  let existing = null;
+  
+  if (webAppOrigin) {
+    openWebAppLink.href = webAppOrigin;
+  } else {
+    openWebAppLink.textContent = 'Set up Stash Web App';
+  }
+  
+  setupViewTabs();
+  
   // Get current tab information
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     
     if (tab) {
+      pageMetadata = await capturePageMetadata(tab.id);
+      
       urlInput.value = tab.url;
-      titleInput.value = tab.title || '';
+      titleInput.value = pageMetadata.title || tab.title || '';
+      notesInput.value = notesFromMetadata(pageMetadata);
+      
+      // Saving again edits the existing bookmark instead of adding a copy
+      const { bookmarks = [], libraryRecords = {} } = await chrome.storage.local.get(['bookmarks', 'libraryRecords']);
+      existing = findSavedBookmark(bookmarks, libraryRecords, tab.url);
       
-      // Extract domain for web app link
-      const url = new URL(tab.url);
-      const webAppUrl = `https://your-web-app-domain.com`; // Update with your web app URL
-      openWebAppLink.href = webAppUrl;
+      if (existing) {
+        titleInput.value = existing.title || titleInput.value;
+        notesInput.value = existing.notes || '';
+        tagsInput.value = (existing.tags || []).join(', ');
+        saveButton.textContent = 'Update Bookmark';
+        setSaveViewTitle('Edit Bookmark');
+        showStatus('Already saved', 'warning');
+      }
     }
   } catch (error) {
     console.error('Failed to get tab info:', error);
@@ -30,9 +60,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     e.preventDefault();
     
     const bookmarkData = {
+      ...pickPageMetadata(pageMetadata),
       url: urlInput.value.trim(),
       title: titleInput.value.trim() || null,
       notes: notesInput.value.trim() || null,
+      tags: parseTagList(tagsInput.value),
       createdAt: new Date().toISOString(),
       modifiedAt: new Date().toISOString()
     };
@@ -46,13 +78,27 @@ document.addEventListener('DOMContentLoaded', async () => {
       saveButton.disabled = true;
       showStatus('Saving bookmark...', 'loading');
       
-      // Save to local storage (will be synced by web app)
-      await saveBookmarkLocally(bookmarkData);
-      
-      // Try to communicate with web app if open
-      await notifyWebApp(bookmarkData);
-      
-      showStatus('Bookmark saved successfully!', 'success');
+      if (existing) {
+        const { url, createdAt, modifiedAt, ...changes } = bookmarkData;
+        const response = await chrome.runtime.sendMessage({
+          type: 'UPDATE_BOOKMARK',
+          bookmark: existing,
+          changes: { ...changes, title: changes.title || existing.title }
+        });
+        
+        if (!response?.success) {
+          throw new Error(response?.error || 'Update failed');
+        }
+        showStatus('Bookmark updated', 'success');
+      } else {
+        // Save to local storage, the background worker pushes it to iCloud
+        const saved = await saveBookmarkLocally(bookmarkData);
+        chrome.runtime.sendMessage({ type: 'SYNC_NOW' }).catch(() => {
+          // Retried by alarm if the worker can't be reached
+        });
+        
+        showStatus(saved.updated ? 'Bookmark updated' : 'Bookmark saved successfully!', 'success');
+      }
       
       // Close popup after delay
       setTimeout(() => {
@@ -69,15 +115,71 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Open web app link
   openWebAppLink.addEventListener('click', (e) => {
     e.preventDefault();
-    chrome.tabs.create({ url: openWebAppLink.href });
+    
+    if (webAppOrigin) {
+      chrome.tabs.create({ url: webAppOrigin });
+    } else {
+      chrome.runtime.openOptionsPage();
+    }
   });
 });
 
+// Save view heading, "Edit Bookmark" when the page is already saved
+let saveViewTitle = 'Save Bookmark';
+
+function setSaveViewTitle(title) {
+  saveViewTitle = title;
+  document.getElementById('viewTitle').textContent = title;
+}
+
+// Switch between saving the current page and browsing saved bookmarks
+function setupViewTabs() {
+  let browseReady = false;
+  
+  document.querySelectorAll('.view-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      const view = tab.dataset.view;
+      
+      document.querySelectorAll('.view-tab').forEach(other => {
+        other.classList.toggle('active', other === tab);
+      });
+      document.getElementById('viewTitle').textContent = view === 'save' ? saveViewTitle : 'Bookmarks';
+      document.getElementById('bookmarkForm').style.display = view === 'save' ? 'block' : 'none';
+      document.getElementById('browseView').style.display = view === 'browse' ? 'block' : 'none';
+      document.getElementById('status').style.display = 'none';
+      
+      if (view === 'browse' && !browseReady) {
+        browseReady = true;
+        initBrowseView();
+      }
+    });
+  });
+}
+
 async function saveBookmarkLocally(bookmarkData) {
   // Get existing bookmarks
   const result = await chrome.storage.local.get(['bookmarks']);
   const bookmarks = result.bookmarks || [];
   
+  // Same page under a different URL form, update it in place
+  const existing = findBookmarkByURL(bookmarks.filter(b => !b.deleted), bookmarkData.url);
+  if (existing) {
+    const updatedBookmark = {
+      ...existing,
+      ...pickPageMetadata(bookmarkData),
+      title: bookmarkData.title || existing.title,
+      notes: bookmarkData.notes,
+      tags: bookmarkData.tags,
+      modifiedAt: bookmarkData.modifiedAt,
+      synced: false
+    };
+    
+    bookmarks[bookmarks.indexOf(existing)] = updatedBookmark;
+    await chrome.storage.local.set({ bookmarks });
+    
+    return { ...updatedBookmark, updated: true };
+  }
+  
   // Add new bookmark with unique ID
   const newBookmark = {
     ...bookmarkData,
@@ -93,29 +195,6 @@ async function saveBookmarkLocally(bookmarkData) {
   return newBookmark;
 }
 
-async function notifyWebApp(bookmarkData) {
-  // Try to find and communicate with web app tab
-  try {
-    const tabs = await chrome.tabs.query({});
-    const webAppTabs = tabs.filter(tab => 
-      tab.url && tab.url.includes('your-web-app-domain.com') // Update with your domain
-    );
-    
-    for (const tab of webAppTabs) {
-      try {
-        await chrome.tabs.sendMessage(tab.id, {
-          type: 'NEW_BOOKMARK',
-          data: bookmarkData
-        });
-      } catch (error) {
-        // Tab might not have content script, ignore
-      }
-    }
-  } catch (error) {
-    // Web app not open, that's fine
-  }
-}
-
 function showStatus(message, type) {
   const statusDiv = document.getElementById('status');
   statusDiv.textContent = message;
@@ -0,0 +1,73 @@
+// URL canonicalization for duplicate detection.
+// Copy of Web/src/utils/url.js for the extension, keep the two in step.
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = [
+  'fbclid',
+  'gclid',
+  'dclid',
+  'msclkid',
+  'yclid',
+  'igshid',
+  'mc_cid',
+  'mc_eid',
+  '_hsenc',
+  '_hsmi',
+  'ref_src'
+];
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return lower.startsWith('utm_') || TRACKING_PARAMS.includes(lower);
+}
+
+// A comparison key for a URL: two bookmarks with the same key are the same page
+function canonicalizeURL(input) {
+  const trimmed = (input || '').trim();
+  if (!trimmed) return '';
+
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    return trimmed.toLowerCase();
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    url.hash = '';
+    return url.href;
+  }
+
+  const host = url.hostname.replace(/^www\./, '');
+  const port = url.port ? `:${url.port}` : '';
+  const path = url.pathname.replace(/\/+$/, '');
+
+  const params = Array.from(url.searchParams.entries())
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = new URLSearchParams(params).toString();
+
+  return `${host}${port}${path}${query ? `?${query}` : ''}`;
+}
+
+function findBookmarkByURL(bookmarks, url) {
+  const key = canonicalizeURL(url);
+  return bookmarks.find(bookmark => canonicalizeURL(bookmark.url) === key) || null;
+}
+
+/**
+ * The saved bookmark for url, from this browser or the synced library, or
+ * null. Once a local bookmark is synced the library copy is the latest.
+ */
+function findSavedBookmark(bookmarks, libraryRecords, url) {
+  const local = findBookmarkByURL(bookmarks.filter(b => !b.deleted), url);
+
+  if (local) {
+    const libraryRecord = local.synced && libraryRecords[local.recordName];
+    return libraryRecord ? { ...local, ...libraryRecord } : local;
+  }
+
+  const key = canonicalizeURL(url);
+  const match = Object.entries(libraryRecords).find(([, record]) => canonicalizeURL(record.url) === key);
+  return match ? { ...match[1], recordName: match[0], synced: true } : null;
+}
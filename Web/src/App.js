@@ -1,24 +1,117 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import CloudKitService from './services/CloudKitService';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import CloudKitService, { MAX_RECORDS_PER_SAVE } from './services/CloudKitService';
+import WebOfflineManager from './services/WebOfflineManager';
+import ExtensionBridge from './services/ExtensionBridge';
 import BookmarkList from './components/BookmarkList';
 import AddBookmarkModal from './components/AddBookmarkModal';
 import AuthButton from './components/AuthButton';
 import SyncStatus from './components/SyncStatus';
+import TagSidebar from './components/TagSidebar';
+import CollectionSidebar from './components/CollectionSidebar';
+import CSVImportModal from './components/CSVImportModal';
+import ImportPreviewModal from './components/ImportPreviewModal';
+import DuplicatesModal from './components/DuplicatesModal';
+import BulkActionBar from './components/BulkActionBar';
+import TrashModal from './components/TrashModal';
+import UndoToast from './components/UndoToast';
+import CommandPalette from './components/CommandPalette';
+import ShortcutsOverlay from './components/ShortcutsOverlay';
+import { normalizeTags, parseTagString, collectTags, hasTag } from './utils/tags';
+import { parseNetscapeBookmarks, exportNetscapeBookmarks } from './utils/netscapeBookmarks';
+import { bookmarksToCSV } from './utils/csv';
+import { searchBookmarks } from './utils/search';
+import { buildImportPlan, isValidURL } from './utils/importPlan';
+import { canonicalizeURL, indexByCanonicalURL } from './utils/url';
+import { runInBatches } from './utils/batches';
+import { mergeDuplicateGroup } from './utils/duplicates';
+import {
+  indexCollections,
+  canMoveCollection,
+  getCollectionWithDescendants,
+  getCollectionPath,
+  getBookmarkCollectionId,
+  countBookmarksByCollection,
+  collectionPathKey,
+  resolveCollectionPaths,
+  getImportedCollectionPath
+} from './utils/collections';
+import {
+  BOOKMARK_STATUSES,
+  DEFAULT_STATUS,
+  READING_TABS,
+  DEFAULT_READING_TAB,
+  getBookmarkStatus,
+  isUnread,
+  filterByReadingTab,
+  pinnedFirst
+} from './utils/readingStatus';
+import { loadPreference, savePreference } from './utils/preferences';
+import { toggleSelection } from './utils/selection';
+import {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  TRASH_PURGE_INTERVAL,
+  normalizeRetentionDays,
+  getExpiredTrash
+} from './utils/trash';
+import {
+  SORT_FIELDS,
+  DEFAULT_SORT,
+  normalizeSortOrder,
+  getDirectionLabel,
+  getServerSort,
+  sortBookmarks
+} from './utils/sort';
+import {
+  PALETTE_SHORTCUT_LABEL,
+  isPaletteShortcut,
+  isTypingTarget,
+  isInteractiveTarget
+} from './utils/shortcuts';
 import { DEMO_MODE, DEMO_BOOKMARKS } from './config/demo';
 
 const APP_VERSION = process.env.REACT_APP_VERSION || require('../package.json').version;
 
+const offlineManager = new WebOfflineManager();
+
 function App() {
   const [bookmarks, setBookmarks] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
+  const [selectedTag, setSelectedTag] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [selectedCollection, setSelectedCollection] = useState(null); // null (all), 'unfiled' or a collection id
+  const [readingTab, setReadingTab] = useState(DEFAULT_READING_TAB);
+  const [markReadOnOpen, setMarkReadOnOpen] = useState(() => loadPreference('markReadOnOpen', false));
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [authState, setAuthState] = useState('initializing');
   const [showAddModal, setShowAddModal] = useState(false);
+  const [editingBookmark, setEditingBookmark] = useState(null);
+  const [editError, setEditError] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [syncStatus, setSyncStatus] = useState('idle');
   const [showExportMenu, setShowExportMenu] = useState(false);
+  const [csvImport, setCsvImport] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [showDuplicates, setShowDuplicates] = useState(false);
   const [isDemoMode, setIsDemoMode] = useState(DEMO_MODE);
   const [viewMode, setViewMode] = useState('list'); // 'list' or 'grid'
+  const [sortOrder, setSortOrder] = useState(() => normalizeSortOrder(loadPreference('sortOrder', DEFAULT_SORT)));
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [trashedBookmarks, setTrashedBookmarks] = useState(null); // null until the trash has loaded
+  const [trashError, setTrashError] = useState(null);
+  const [trashRetentionDays, setTrashRetentionDays] = useState(() => (
+    normalizeRetentionDays(loadPreference('trashRetentionDays', DEFAULT_TRASH_RETENTION_DAYS))
+  ));
+  const [undoToast, setUndoToast] = useState(null); // { id, message, bookmarks }
+  const [activeBookmarkId, setActiveBookmarkId] = useState(null); // moved with j and k
+  const [showPalette, setShowPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const searchInputRef = useRef(null);
+  const importInputRef = useRef(null);
+
+  // Listeners set up once below call the loader from the latest render
+  const loadBookmarksRef = useRef(null);
 
   const initializeCloudKit = useCallback(async () => {
     if (isDemoMode) {
@@ -28,6 +121,9 @@ function App() {
       return;
     }
 
+    // Show the last known library right away, the network catches up below
+    loadCachedBookmarks();
+
     try {
       await CloudKitService.initialize();
       setAuthState(CloudKitService.getAuthenticationState());
@@ -38,19 +134,35 @@ function App() {
         if (event === 'authenticated') {
           setIsAuthenticated(true);
           setAuthState('signedIn');
-          loadBookmarks();
+          loadBookmarksRef.current();
         } else if (event === 'signedOut') {
           setIsAuthenticated(false);
           setAuthState('signedOut');
           setBookmarks([]);
+          setCollections([]);
+          offlineManager.clearCache().catch(error => {
+            console.error('Failed to clear bookmark cache:', error);
+          });
         }
       });
 
+      // Bookmarks saved from the browser extension go straight to iCloud,
+      // refresh when it says it pushed some
+      ExtensionBridge.start();
+      ExtensionBridge.onLibraryChanged(() => loadBookmarksRef.current());
+
       // Load bookmarks if already authenticated
       if (CloudKitService.isUserSignedIn()) {
-        loadBookmarks();
+        loadBookmarksRef.current();
       }
     } catch (error) {
+      if (!offlineManager.isOnline) {
+        // CloudKit can't be reached while offline, keep working from the cache
+        console.error('CloudKit initialization failed while offline:', error);
+        setSyncStatus('offline');
+        return;
+      }
+
       console.error('CloudKit initialization failed, falling back to demo mode:', error);
       setIsDemoMode(true);
       setAuthState('signedIn');
@@ -63,109 +175,747 @@ function App() {
     initializeCloudKit();
   }, [initializeCloudKit]);
 
+  useEffect(() => {
+    if (isDemoMode) return;
+
+    return offlineManager.addListener((event, data) => {
+      switch (event) {
+        case 'online':
+          setSyncStatus('idle');
+          break;
+        case 'offline':
+          setSyncStatus('offline');
+          break;
+        case 'operationSynced':
+          // Swap queued placeholders for the saved records
+          if (data.result && data.type.endsWith('_COLLECTION')) {
+            setCollections(prev => prev.map(c => c.id === data.data.id ? data.result : c));
+          } else if (data.result) {
+            setBookmarks(prev => prev.map(b => b.id === data.data.id ? data.result : b));
+          }
+          break;
+        case 'operationFailed':
+          console.error('Queued change could not be synced:', data.error);
+          setSyncStatus('error');
+
+          // Changed on another device while this edit waited in the queue
+          if (CloudKitService.isConflictError(data.error) && data.type === 'UPDATE_BOOKMARK') {
+            alert(`"${data.data.title || data.data.url}" was changed on another device, so your offline edit wasn't saved. Reopen it to edit the latest version.`);
+            loadBookmarksRef.current();
+          }
+          break;
+        default:
+          break;
+      }
+    });
+  }, [isDemoMode]);
+
+  // Keep the extension bridge pointed at the current library
+  useEffect(() => {
+    ExtensionBridge.setHandlers({
+      add: addBookmarkFromExtension,
+      getBookmarks: () => bookmarks
+    });
+  });
+
+  // A queued change is expected while offline, but means a failed request otherwise
+  const getQueuedStatus = () => offlineManager.isOnline ? 'error' : 'offline';
+
+  const loadCachedBookmarks = async () => {
+    try {
+      const cached = await offlineManager.getCachedBookmarks();
+      const bookmarkData = await offlineManager.applyPendingOperations(cached);
+      const collectionData = await offlineManager.applyPendingCollectionOperations(
+        await offlineManager.getCachedCollections()
+      );
+
+      if (bookmarkData.length > 0 || collectionData.length > 0) {
+        // Don't clobber a network response that arrived first
+        setBookmarks(prev => prev.length > 0 ? prev : bookmarkData);
+        setCollections(prev => prev.length > 0 ? prev : collectionData);
+        setAuthState('signedIn');
+        setIsAuthenticated(true);
+      }
+    } catch (error) {
+      console.error('Failed to load cached bookmarks:', error);
+    }
+  };
+
+  // Delta fetch against the cache when we have a sync token, full fetch otherwise.
+  // Returns { bookmarks, collections }.
+  const fetchServerLibrary = async () => {
+    // Libraries saved before StashZone are copied into it once. Until that
+    // has worked, full fetches read the default zone as well.
+    try {
+      await CloudKitService.migrateDefaultZone();
+    } catch (error) {
+      console.error('Failed to migrate bookmarks from the default zone:', error);
+    }
+
+    const syncToken = CloudKitService.isDefaultZoneMigrated() ? await offlineManager.getSyncToken() : null;
+
+    if (syncToken) {
+      try {
+        const changes = await CloudKitService.fetchBookmarkChanges(syncToken);
+        return await offlineManager.applyZoneChanges(
+          changes,
+          record => CloudKitService.recordToBookmark(record),
+          record => CloudKitService.recordToCollection(record)
+        );
+      } catch (error) {
+        if (!CloudKitService.isExpiredTokenError(error)) throw error;
+        console.warn('Sync token expired, fetching all bookmarks');
+      }
+    }
+
+    // Take the token before the query: anything changed in between shows up again next time
+    const nextToken = await CloudKitService.fetchZoneSyncToken();
+    // Read from storage rather than state, this also runs from listeners set up on first render
+    const serverSort = getServerSort(normalizeSortOrder(loadPreference('sortOrder', DEFAULT_SORT)));
+    const records = await CloudKitService.fetchBookmarks(serverSort);
+    const bookmarkData = records.map(record => CloudKitService.recordToBookmark(record));
+    const collectionRecords = await CloudKitService.fetchCollections();
+    const collectionData = collectionRecords.map(record => CloudKitService.recordToCollection(record));
+
+    try {
+      await offlineManager.cacheBookmarks(bookmarkData);
+      await offlineManager.cacheCollections(collectionData);
+      await offlineManager.setSyncToken(nextToken);
+    } catch (error) {
+      console.error('Failed to cache bookmarks:', error);
+    }
+
+    return { bookmarks: bookmarkData, collections: collectionData };
+  };
+
   const loadBookmarks = async () => {
-    if (!isAuthenticated) return;
+    if (!CloudKitService.isUserSignedIn()) return;
 
     setIsLoading(true);
     setSyncStatus('syncing');
     
     try {
-      const records = await CloudKitService.fetchBookmarks();
-      const bookmarkData = records.map(record => ({
-        id: record.recordName,
-        url: record.fields.url?.value || '',
-        title: record.fields.title?.value || '',
-        notes: record.fields.notes?.value || '',
-        createdAt: record.fields.createdAt?.value || new Date(),
-        modifiedAt: record.fields.modifiedAt?.value || new Date(),
-        recordName: record.recordName
-      }));
+      // Push queued changes first so the fetch includes them
+      await offlineManager.processOfflineQueue();
+
+      const library = await fetchServerLibrary();
       
-      setBookmarks(bookmarkData);
+      setBookmarks(await offlineManager.applyPendingOperations(library.bookmarks));
+      setCollections(await offlineManager.applyPendingCollectionOperations(library.collections));
       setSyncStatus('success');
+      purgeExpiredTrash();
       
       // Reset to idle after showing success
       setTimeout(() => setSyncStatus('idle'), 2000);
     } catch (error) {
       console.error('Failed to load bookmarks:', error);
-      setSyncStatus('error');
+      setSyncStatus(offlineManager.isOnline ? 'error' : 'offline');
     } finally {
       setIsLoading(false);
     }
   };
 
+  loadBookmarksRef.current = loadBookmarks;
+
+  // Bookmark fields from form or import data, with an id for the list
+  const prepareNewBookmark = (bookmarkData) => ({
+    url: bookmarkData.url,
+    title: bookmarkData.title,
+    notes: bookmarkData.notes,
+    tags: parseTagString(bookmarkData.tags),
+    collectionId: bookmarkData.collectionId || null,
+    status: BOOKMARK_STATUSES.includes(bookmarkData.status) ? bookmarkData.status : DEFAULT_STATUS,
+    isFavorite: Boolean(bookmarkData.isFavorite),
+    isPinned: Boolean(bookmarkData.isPinned),
+    lastVisitedAt: bookmarkData.lastVisitedAt ? new Date(bookmarkData.lastVisitedAt) : null,
+    // Imports carry their original dates
+    createdAt: bookmarkData.createdAt ? new Date(bookmarkData.createdAt) : new Date(),
+    modifiedAt: bookmarkData.modifiedAt ? new Date(bookmarkData.modifiedAt) : new Date(),
+    // Local id until CloudKit assigns a record name
+    id: `${isDemoMode ? 'demo' : 'local'}-${offlineManager.generateId()}`
+  });
+
+  // Save a new bookmark and add it to the list. Returns { bookmark, queued }.
+  const createBookmark = async (bookmarkData) => {
+    const bookmark = prepareNewBookmark(bookmarkData);
+
+    if (isDemoMode) {
+      const newBookmark = { ...bookmark, recordName: bookmark.id };
+
+      setBookmarks(prev => [newBookmark, ...prev]);
+      return { bookmark: newBookmark, queued: false };
+    }
+
+    const { success, result } = await offlineManager.queueOperation('ADD_BOOKMARK', bookmark);
+    const newBookmark = success ? result : { ...bookmark, pendingSync: true };
+
+    setBookmarks(prev => [newBookmark, ...prev]);
+    return { bookmark: newBookmark, queued: !success };
+  };
+
+  // Save several new bookmarks in one CloudKit request.
+  // Returns one { bookmark, queued } or { error } per item.
+  const createBookmarks = async (batch) => {
+    const prepared = batch.map(prepareNewBookmark);
+
+    const results = isDemoMode
+      ? prepared.map(bookmark => ({ bookmark: { ...bookmark, recordName: bookmark.id } }))
+      : await offlineManager.addBookmarks(prepared);
+
+    const saved = results.filter(result => result.bookmark).map(result => result.bookmark);
+    setBookmarks(prev => [...saved, ...prev]);
+
+    return results;
+  };
+
+
+  // Save changes to several bookmarks in one CloudKit request.
+  // Returns one { bookmark, queued } or { error } per item.
+  const saveBookmarkBatch = async (batch) => {
+    const updated = batch.map(bookmark => ({ ...bookmark, modifiedAt: new Date() }));
+
+    const results = isDemoMode
+      ? updated.map(bookmark => ({ bookmark }))
+      : await offlineManager.updateBookmarks(updated);
+
+    const saved = new Map(results.filter(result => result.bookmark).map(result => [result.bookmark.id, result.bookmark]));
+    setBookmarks(prev => prev.map(b => saved.get(b.id) || b));
+
+    return results;
+  };
+
+  // The same for deletes
+  const removeBookmarkBatch = async (batch) => {
+    const results = isDemoMode
+      ? batch.map(bookmark => ({ bookmark }))
+      : await offlineManager.deleteBookmarks(batch);
+
+    const removed = results.filter(result => result.bookmark).map(result => result.bookmark);
+    const removedIds = new Set(removed.map(b => b.id));
+    setBookmarks(prev => prev.filter(b => !removedIds.has(b.id)));
+    addToTrash(removed);
+
+    return results;
+  };
+
+  // Back out of the trash and into the list
+  const restoreBookmarkBatch = async (batch) => {
+    const restoring = batch.map(({ deletedAt, ...bookmark }) => bookmark);
+
+    const results = isDemoMode
+      ? restoring.map(bookmark => ({ bookmark }))
+      : await offlineManager.restoreBookmarks(restoring);
+
+    const restored = results.filter(result => result.bookmark).map(result => result.bookmark);
+    const restoredIds = new Set(restored.map(b => b.id));
+    setBookmarks(prev => [...restored, ...prev.filter(b => !restoredIds.has(b.id))]);
+    setTrashedBookmarks(prev => prev && prev.filter(b => !restoredIds.has(b.id)));
+
+    return results;
+  };
+
+  // Deletes for good. Trashed bookmarks always have a record name, the
+  // trash is read from the server.
+  const purgeBookmarkBatch = async (batch) => {
+    const results = isDemoMode
+      ? batch.map(() => ({}))
+      : await CloudKitService.purgeBookmarks(batch.map(bookmark => bookmark.recordName));
+
+    const purgedIds = new Set(batch.filter((bookmark, index) => !results[index].error).map(b => b.id));
+    setTrashedBookmarks(prev => prev && prev.filter(b => !purgedIds.has(b.id)));
+
+    return results.map((result, index) => (result.error ? { error: result.error } : { bookmark: batch[index] }));
+  };
+
+  // Keeps an open (or demo) trash in step with deletes made meanwhile
+  const addToTrash = (removed) => {
+    const trashed = removed.map(bookmark => ({ ...bookmark, deletedAt: new Date() }));
+    setTrashedBookmarks(prev => (prev || isDemoMode ? [...trashed, ...(prev || [])] : prev));
+  };
+
+  // Save changes to an existing bookmark. Throws on conflicts, see handleUpdateBookmark.
+  const saveBookmarkChanges = async (bookmarkData) => {
+    if (isDemoMode) {
+      const updatedBookmark = { ...bookmarkData, modifiedAt: new Date() };
+
+      setBookmarks(prev => prev.map(b => b.id === updatedBookmark.id ? updatedBookmark : b));
+      return { bookmark: updatedBookmark, queued: false };
+    }
+
+    const { success, result } = await offlineManager.queueOperation('UPDATE_BOOKMARK', bookmarkData);
+    const updatedBookmark = success
+      ? result
+      : { ...bookmarkData, modifiedAt: new Date(), pendingSync: true };
+
+    setBookmarks(prev => prev.map(b => b.id === updatedBookmark.id ? updatedBookmark : b));
+    return { bookmark: updatedBookmark, queued: !success };
+  };
+
+  // window.StashApp.add, for pages saved through the extension while Stash is open
+  const addBookmarkFromExtension = async (bookmarkData) => {
+    if (!isValidURL(bookmarkData.url)) {
+      throw new Error('Not a valid URL');
+    }
+
+    const existing = indexByCanonicalURL(bookmarks).get(canonicalizeURL(bookmarkData.url));
+    if (existing) {
+      return { ...existing, duplicate: true };
+    }
+
+    const { bookmark } = await createBookmark({
+      url: bookmarkData.url.trim(),
+      title: bookmarkData.title || null,
+      notes: bookmarkData.notes || null,
+      tags: bookmarkData.tags
+    });
+    return bookmark;
+  };
+
   const handleAddBookmark = async (bookmarkData) => {
     try {
       setSyncStatus('syncing');
+
+      const { queued } = await createBookmark(bookmarkData);
+
+      setShowAddModal(false);
+      setSyncStatus(queued ? getQueuedStatus() : 'success');
       
-      if (isDemoMode) {
-        const newBookmark = {
-          id: `demo-${Date.now()}`,
-          url: bookmarkData.url,
-          title: bookmarkData.title,
-          notes: bookmarkData.notes,
-          createdAt: new Date(),
-          modifiedAt: new Date(),
-          recordName: `demo-${Date.now()}`
-        };
-        
-        setBookmarks(prev => [newBookmark, ...prev]);
-        setShowAddModal(false);
-        setSyncStatus('success');
+      if (!queued) {
         setTimeout(() => setSyncStatus('idle'), 2000);
-        return;
       }
+    } catch (error) {
+      console.error('Failed to add bookmark:', error);
+      setSyncStatus('error');
+    }
+  };
 
-      const bookmark = {
-        url: bookmarkData.url,
-        title: bookmarkData.title,
-        notes: bookmarkData.notes,
-        createdAt: new Date(),
-        modifiedAt: new Date()
-      };
+  const handleEditBookmark = (bookmark) => {
+    setEditError(null);
+    setEditingBookmark(bookmark);
+  };
 
-      const record = await CloudKitService.saveBookmark(bookmark);
-      
-      const newBookmark = {
-        id: record.recordName,
-        ...bookmark,
-        recordName: record.recordName
-      };
+  const handleCloseEditModal = () => {
+    setEditError(null);
+    setEditingBookmark(null);
+  };
 
-      setBookmarks(prev => [newBookmark, ...prev]);
-      setShowAddModal(false);
-      setSyncStatus('success');
-      
-      setTimeout(() => setSyncStatus('idle'), 2000);
+  const handleUpdateBookmark = async (bookmarkData) => {
+    try {
+      setSyncStatus('syncing');
+      setEditError(null);
+
+      const { queued } = await saveBookmarkChanges(bookmarkData);
+
+      setEditingBookmark(null);
+      setSyncStatus(queued ? getQueuedStatus() : 'success');
+
+      if (!queued) {
+        setTimeout(() => setSyncStatus('idle'), 2000);
+      }
     } catch (error) {
-      console.error('Failed to add bookmark:', error);
+      console.error('Failed to update bookmark:', error);
       setSyncStatus('error');
+
+      if (CloudKitService.isConflictError(error)) {
+        setEditError('This bookmark was changed on another device. Your edit was not saved. Close and reopen it to edit the latest version.');
+        loadBookmarks();
+      } else {
+        setEditError('Failed to save changes. Please try again.');
+      }
+    }
+  };
+
+  // Delete a bookmark and drop it from the list. Returns { queued }.
+  const removeBookmark = async (bookmark) => {
+    if (isDemoMode) {
+      setBookmarks(prev => prev.filter(b => b.id !== bookmark.id));
+      addToTrash([bookmark]);
+      return { queued: false };
     }
+
+    const { success } = await offlineManager.queueOperation('DELETE_BOOKMARK', bookmark);
+
+    setBookmarks(prev => prev.filter(b => b.id !== bookmark.id));
+    addToTrash([bookmark]);
+    return { queued: !success };
   };
 
   const handleDeleteBookmark = async (bookmark) => {
     try {
       setSyncStatus('syncing');
+
+      const { queued } = await removeBookmark(bookmark);
+
+      showUndoToast('Moved to Trash', [bookmark]);
+      setSyncStatus(queued ? getQueuedStatus() : 'success');
       
-      if (isDemoMode) {
-        setBookmarks(prev => prev.filter(b => b.id !== bookmark.id));
-        setSyncStatus('success');
+      if (!queued) {
         setTimeout(() => setSyncStatus('idle'), 2000);
-        return;
       }
-      
-      await CloudKitService.deleteBookmark(bookmark.recordName);
-      
-      setBookmarks(prev => prev.filter(b => b.id !== bookmark.id));
-      setSyncStatus('success');
-      
-      setTimeout(() => setSyncStatus('idle'), 2000);
     } catch (error) {
       console.error('Failed to delete bookmark:', error);
       setSyncStatus('error');
     }
   };
 
+  // Fold a group of duplicates into its oldest bookmark. Throws so the
+  // duplicates view can report failures.
+  const handleMergeDuplicates = async (group) => {
+    const { keep, remove } = mergeDuplicateGroup(group);
+
+    setSyncStatus('syncing');
+
+    try {
+      const { queued } = await saveBookmarkChanges(keep);
+      const results = [];
+
+      for (const bookmark of remove) {
+        results.push(await removeBookmark(bookmark));
+      }
+
+      const anyQueued = queued || results.some(result => result.queued);
+      setSyncStatus(anyQueued ? getQueuedStatus() : 'success');
+
+      if (!anyQueued) {
+        setTimeout(() => setSyncStatus('idle'), 2000);
+      }
+    } catch (error) {
+      setSyncStatus('error');
+      throw error;
+    }
+  };
+
+  // Collection changes show right away and are queued like bookmark changes.
+  // Their ids are made here, so bookmarks can be filed in them before they sync.
+  const saveCollectionChange = async (type, collection) => {
+    if (isDemoMode) return;
+
+    try {
+      setSyncStatus('syncing');
+
+      const { success, result } = await offlineManager.queueOperation(type, collection);
+
+      if (success && result) {
+        setCollections(prev => prev.map(c => c.id === result.id ? result : c));
+      }
+      setSyncStatus(success ? 'success' : getQueuedStatus());
+
+      if (success) {
+        setTimeout(() => setSyncStatus('idle'), 2000);
+      }
+    } catch (error) {
+      console.error('Failed to save collection:', error);
+      setSyncStatus('error');
+    }
+  };
+
+  const newCollection = (name, parentId) => {
+    const id = CloudKitService.generateRecordName();
+    return { id, recordName: id, name, parentId: parentId || null, createdAt: new Date(), modifiedAt: new Date() };
+  };
+
+  const handleCreateCollection = async (name, parentId) => {
+    const collection = newCollection(name, parentId);
+
+    setCollections(prev => [...prev, collection]);
+    await saveCollectionChange('ADD_COLLECTION', collection);
+  };
+
+  const handleRenameCollection = async (collection, name) => {
+    const renamed = { ...collection, name, modifiedAt: new Date() };
+
+    setCollections(prev => prev.map(c => c.id === renamed.id ? renamed : c));
+    await saveCollectionChange('RENAME_COLLECTION', renamed);
+  };
+
+  // parentId null moves the collection to the top level
+  const handleMoveCollection = async (collectionId, parentId) => {
+    const collection = collections.find(c => c.id === collectionId);
+    if (!collection || (collection.parentId || null) === (parentId || null)) return;
+    if (!canMoveCollection(collectionId, parentId, collections)) return;
+
+    const moved = { ...collection, parentId: parentId || null, modifiedAt: new Date() };
+
+    setCollections(prev => prev.map(c => c.id === moved.id ? moved : c));
+    await saveCollectionChange('MOVE_COLLECTION', moved);
+  };
+
+  // Subcollections go too. Bookmarks stay and read as unfiled, since their
+  // collection reference no longer resolves.
+  const handleDeleteCollection = async (collection) => {
+    const ids = getCollectionWithDescendants(collection.id, collections);
+    const removed = collections.filter(c => ids.has(c.id));
+
+    setCollections(prev => prev.filter(c => !ids.has(c.id)));
+    if (ids.has(selectedCollection)) {
+      setSelectedCollection(null);
+    }
+
+    for (const removedCollection of removed) {
+      await saveCollectionChange('DELETE_COLLECTION', removedCollection);
+    }
+  };
+
+  const handleMoveBookmark = async (bookmarkId, collectionId) => {
+    const bookmark = bookmarks.find(b => b.id === bookmarkId);
+    if (!bookmark || getBookmarkCollectionId(bookmark, collectionsById) === collectionId) return;
+
+    await handleQuickUpdate(bookmark, { collectionId });
+  };
+
+  // One-click changes from the list (status, favorite, pin, collection).
+  // A conflict just reloads, there's no form to show it in.
+  const handleQuickUpdate = async (bookmark, changes) => {
+    try {
+      setSyncStatus('syncing');
+
+      const { queued } = await saveBookmarkChanges({ ...bookmark, ...changes });
+
+      setSyncStatus(queued ? getQueuedStatus() : 'success');
+
+      if (!queued) {
+        setTimeout(() => setSyncStatus('idle'), 2000);
+      }
+    } catch (error) {
+      console.error('Failed to update bookmark:', error);
+      setSyncStatus('error');
+
+      if (CloudKitService.isConflictError(error)) {
+        loadBookmarks();
+      }
+    }
+  };
+
+  // Opening links records the visit for the Last Visited sort. That isn't an
+  // edit: modifiedAt stays put and there's no change tag to conflict on.
+  const recordVisits = async (opened) => {
+    const visits = new Map(opened.map(bookmark => [bookmark.id, {
+      lastVisitedAt: new Date(),
+      ...(markReadOnOpen && isUnread(bookmark) ? { status: 'read' } : {})
+    }]));
+
+    setBookmarks(prev => prev.map(b => (visits.has(b.id) ? { ...b, ...visits.get(b.id) } : b)));
+    if (isDemoMode) return;
+
+    const result = await runInBatches(opened, async (batch) => {
+      const results = await offlineManager.recordVisits(
+        batch.map(bookmark => ({ ...bookmark, visit: visits.get(bookmark.id) }))
+      );
+
+      // Keep the new change tags, or the next edit would conflict with the visit
+      const tags = new Map(results
+        .filter(r => r.bookmark && !r.queued)
+        .map(r => [r.bookmark.id, r.bookmark.recordChangeTag]));
+      setBookmarks(prev => prev.map(b => (tags.has(b.id) ? { ...b, recordChangeTag: tags.get(b.id) } : b)));
+
+      return results;
+    }, { batchSize: MAX_RECORDS_PER_SAVE });
+
+    if (result.error || result.failures.length > 0) {
+      console.error('Failed to record visits:', result.error || result.failures);
+    }
+  };
+
+  const handleOpenBookmark = (bookmark) => {
+    recordVisits([bookmark]);
+  };
+
+  // Shift-click selects or clears everything from the last box clicked
+  const handleToggleSelect = (bookmark, extend) => {
+    const orderedIds = filteredBookmarks.map(b => b.id);
+
+    setSelectedIds(prev => toggleSelection(prev, orderedIds, bookmark.id, selectionAnchor, extend));
+    setSelectionAnchor(bookmark.id);
+  };
+
+  const handleSelectAll = () => {
+    setSelectedIds(new Set(filteredBookmarks.map(b => b.id)));
+  };
+
+  const handleClearSelection = () => {
+    setSelectedIds(new Set());
+    setSelectionAnchor(null);
+  };
+
+  // Bulk actions write MAX_RECORDS_PER_SAVE bookmarks per request. Sync
+  // status is set once for the whole run, like imports.
+  // Resolves to the runInBatches result.
+  const runBulkAction = async (targets, processBatch, verb) => {
+    if (targets.length === 0) {
+      return { processed: 0, failures: [], remaining: [], cancelled: false, error: null };
+    }
+
+    setSyncStatus('syncing');
+
+    let anyQueued = false;
+    const result = await runInBatches(targets, async (batch) => {
+      const results = await processBatch(batch);
+      anyQueued = anyQueued || results.some(r => r.queued);
+      return results;
+    }, { batchSize: MAX_RECORDS_PER_SAVE });
+
+    const failed = result.failures.length + result.remaining.length;
+
+    if (failed > 0) {
+      console.error(`Failed to ${verb} bookmarks:`, result.error || result.failures);
+      setSyncStatus('error');
+      alert(`Couldn't ${verb} ${failed} of ${targets.length} bookmarks. Please try again.`);
+
+      if (result.failures.some(({ error }) => CloudKitService.isConflictError(error))) {
+        loadBookmarks();
+      }
+      return result;
+    }
+
+    setSyncStatus(anyQueued ? getQueuedStatus() : 'success');
+
+    if (!anyQueued) {
+      setTimeout(() => setSyncStatus('idle'), 2000);
+    }
+    return result;
+  };
+
+  // The targets a bulk action got through
+  const getSucceeded = (targets, result) => {
+    const failed = new Set([...result.failures.map(({ item }) => item), ...result.remaining]);
+    return targets.filter(target => !failed.has(target));
+  };
+
+  // applyChanges returns the changed bookmark, or null when there's nothing to change
+  const updateSelected = (verb, applyChanges) => runBulkAction(
+    selectedBookmarks.map(applyChanges).filter(Boolean),
+    saveBookmarkBatch,
+    verb
+  );
+
+  const handleBulkArchive = () => updateSelected('archive', bookmark => (
+    getBookmarkStatus(bookmark) === 'archived' ? null : { ...bookmark, status: 'archived' }
+  ));
+
+  const handleBulkAddTag = (tag) => updateSelected('tag', bookmark => (
+    hasTag(bookmark, tag) ? null : { ...bookmark, tags: normalizeTags([...(bookmark.tags || []), tag]) }
+  ));
+
+  const handleBulkRemoveTag = (tag) => updateSelected('untag', bookmark => (
+    hasTag(bookmark, tag)
+      ? { ...bookmark, tags: normalizeTags(bookmark.tags).filter(t => t.toLowerCase() !== tag.toLowerCase()) }
+      : null
+  ));
+
+  // collectionId null takes the bookmarks out of their collections
+  const handleBulkMove = (collectionId) => updateSelected('move', bookmark => (
+    getBookmarkCollectionId(bookmark, collectionsById) === collectionId ? null : { ...bookmark, collectionId }
+  ));
+
+  const handleBulkDelete = async () => {
+    const targets = selectedBookmarks;
+    const trashed = getSucceeded(targets, await runBulkAction(targets, removeBookmarkBatch, 'delete'));
+
+    if (trashed.length > 0) {
+      showUndoToast(`${trashed.length} ${trashed.length === 1 ? 'bookmark' : 'bookmarks'} moved to Trash`, trashed);
+    }
+  };
+
+  // Deletes go to the trash, so they can be undone rather than confirmed
+  const showUndoToast = (message, trashed) => {
+    setUndoToast({ id: offlineManager.generateId(), message, bookmarks: trashed });
+  };
+
+  const handleUndoDelete = async () => {
+    const { bookmarks: trashed } = undoToast;
+
+    setUndoToast(null);
+    await runBulkAction(trashed, restoreBookmarkBatch, 'restore');
+  };
+
+  // The trash is read from the server each time it's opened. The demo
+  // library only has what was deleted this session.
+  const handleOpenTrash = async () => {
+    setShowTrash(true);
+    setTrashError(null);
+
+    if (isDemoMode) {
+      setTrashedBookmarks(prev => prev || []);
+      return;
+    }
+
+    setTrashedBookmarks(null);
+
+    try {
+      const records = await CloudKitService.fetchDeletedBookmarks();
+      setTrashedBookmarks(records.map(record => CloudKitService.recordToBookmark(record)));
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+      setTrashedBookmarks([]);
+      setTrashError(offlineManager.isOnline
+        ? 'Failed to load the trash. Please try again.'
+        : 'The trash can\'t be opened while offline.');
+    }
+  };
+
+  const handleRestoreFromTrash = (trashed) => runBulkAction(trashed, restoreBookmarkBatch, 'restore');
+
+  const handlePurgeFromTrash = (trashed) => runBulkAction(trashed, purgeBookmarkBatch, 'delete');
+
+  // A shorter period applies at the next sync rather than a day later
+  const handleTrashRetentionChange = (days) => {
+    const retentionDays = normalizeRetentionDays(days);
+
+    setTrashRetentionDays(retentionDays);
+    savePreference('trashRetentionDays', retentionDays);
+    savePreference('lastTrashPurge', 0);
+  };
+
+  // Purge bookmarks trashed longer than the retention period, after a sync
+  // and at most once a day
+  const purgeExpiredTrash = async () => {
+    // Read from storage rather than state, this also runs from listeners set up on first render
+    const retentionDays = normalizeRetentionDays(loadPreference('trashRetentionDays', DEFAULT_TRASH_RETENTION_DAYS));
+    if (!retentionDays || Date.now() - loadPreference('lastTrashPurge', 0) < TRASH_PURGE_INTERVAL) return;
+
+    try {
+      const records = await CloudKitService.fetchDeletedBookmarks();
+      const expired = getExpiredTrash(records.map(record => CloudKitService.recordToBookmark(record)), retentionDays);
+      const result = await runInBatches(expired, purgeBookmarkBatch, { batchSize: MAX_RECORDS_PER_SAVE });
+
+      if (result.error || result.failures.length > 0) {
+        console.error('Failed to purge expired trash:', result.error || result.failures);
+      } else {
+        savePreference('lastTrashPurge', Date.now());
+      }
+    } catch (error) {
+      console.error('Failed to purge expired trash:', error);
+    }
+  };
+
+  // Browsers only open more than one tab per click once popups are allowed
+  // for the site. The visits are recorded like single opens.
+  const handleBulkOpen = () => {
+    const count = selectedBookmarks.length;
+    if (count > 10 && !window.confirm(`Open ${count} tabs?`)) return;
+
+    selectedBookmarks.forEach(bookmark => window.open(bookmark.url, '_blank', 'noopener,noreferrer'));
+    recordVisits(selectedBookmarks);
+  };
+
+  const handleSortChange = (changes) => {
+    const nextSort = normalizeSortOrder({ ...sortOrder, ...changes });
+
+    setSortOrder(nextSort);
+    savePreference('sortOrder', nextSort);
+  };
+
+  const handleMarkReadOnOpenChange = (enabled) => {
+    setMarkReadOnOpen(enabled);
+    savePreference('markReadOnOpen', enabled);
+  };
+
+  const handleEditExisting = (bookmark) => {
+    setShowAddModal(false);
+    handleEditBookmark(bookmark);
+  };
+
+
   const handleSignIn = async () => {
     try {
       await CloudKitService.signIn();
@@ -182,28 +932,220 @@ function App() {
     }
   };
 
-  const filteredBookmarks = bookmarks.filter(bookmark => {
-    const searchLower = searchTerm.toLowerCase();
-    return (
-      bookmark.url.toLowerCase().includes(searchLower) ||
-      bookmark.title.toLowerCase().includes(searchLower) ||
-      bookmark.notes.toLowerCase().includes(searchLower)
-    );
+  const allTags = useMemo(() => collectTags(bookmarks), [bookmarks]);
+
+  // Drop the tag filter once no bookmark carries that tag anymore
+  const activeTag = selectedTag && allTags.some(t => t.name.toLowerCase() === selectedTag.toLowerCase())
+    ? selectedTag
+    : null;
+
+  const collectionsById = useMemo(() => indexCollections(collections), [collections]);
+  const collectionCounts = useMemo(
+    () => countBookmarksByCollection(bookmarks, collectionsById),
+    [bookmarks, collectionsById]
+  );
+
+  // Sorted once here so the list, the grid and search ties all share the order
+  const sortedBookmarks = useMemo(() => sortBookmarks(bookmarks, sortOrder), [bookmarks, sortOrder]);
+
+  // The same goes for a collection deleted on another device
+  const activeCollection = selectedCollection === 'unfiled' || collectionsById.has(selectedCollection)
+    ? selectedCollection
+    : null;
+
+  // A collection shows the bookmarks in its subcollections too
+  const collectionBookmarks = useMemo(() => {
+    if (!activeCollection) return sortedBookmarks;
+
+    if (activeCollection === 'unfiled') {
+      return sortedBookmarks.filter(bookmark => !getBookmarkCollectionId(bookmark, collectionsById));
+    }
+
+    const ids = getCollectionWithDescendants(activeCollection, collections);
+    return sortedBookmarks.filter(bookmark => ids.has(getBookmarkCollectionId(bookmark, collectionsById)));
+  }, [sortedBookmarks, collections, collectionsById, activeCollection]);
+
+  const activeCollectionPath = activeCollection === 'unfiled'
+    ? ['Unfiled']
+    : activeCollection ? getCollectionPath(activeCollection, collectionsById) : [];
+
+  // Counts on the tabs: unread in the inbox, everything in the others
+  const readingTabCounts = useMemo(() => ({
+    inbox: filterByReadingTab(collectionBookmarks, 'inbox').filter(isUnread).length,
+    favorites: filterByReadingTab(collectionBookmarks, 'favorites').length,
+    archive: filterByReadingTab(collectionBookmarks, 'archive').length
+  }), [collectionBookmarks]);
+
+  const searchResults = useMemo(() => {
+    const inTab = filterByReadingTab(collectionBookmarks, readingTab);
+    const candidates = activeTag
+      ? inTab.filter(bookmark => hasTag(bookmark, activeTag))
+      : inTab;
+
+    return searchBookmarks(candidates, searchTerm);
+  }, [collectionBookmarks, readingTab, activeTag, searchTerm]);
+
+  const filteredBookmarks = useMemo(
+    () => pinnedFirst(searchResults.map(result => result.bookmark)),
+    [searchResults]
+  );
+
+  // Selected bookmarks outside the current filter are left alone by bulk actions
+  const selectedBookmarks = useMemo(
+    () => filteredBookmarks.filter(bookmark => selectedIds.has(bookmark.id)),
+    [filteredBookmarks, selectedIds]
+  );
+
+  // Single-key shortcuts are off while a dialog is open or a field has
+  // focus. The palette shortcut works everywhere but the sign-in screen.
+  const dialogOpen = Boolean(showAddModal || editingBookmark || csvImport || importPreview ||
+    showDuplicates || showTrash || showPalette || showShortcuts);
+  const libraryVisible = isAuthenticated || isDemoMode;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!libraryVisible) return;
+
+      if (isPaletteShortcut(e)) {
+        e.preventDefault();
+        setShowPalette(open => !open);
+        return;
+      }
+
+      if (dialogOpen || e.metaKey || e.ctrlKey || e.altKey) return;
+
+      if (isTypingTarget(e.target)) {
+        if (e.key === 'Escape') e.target.blur();
+        return;
+      }
+
+      handleListKey(e);
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
   });
 
-  const handleExport = (format = 'json') => {
+  const handleListKey = (e) => {
+    const index = filteredBookmarks.findIndex(b => b.id === activeBookmarkId);
+    const active = filteredBookmarks[index];
+
+    switch (e.key) {
+      case 'j':
+      case 'k': {
+        if (filteredBookmarks.length === 0) return;
+        const step = e.key === 'j' ? 1 : -1;
+        const next = index < 0 ? 0 : Math.min(Math.max(index + step, 0), filteredBookmarks.length - 1);
+        setActiveBookmarkId(filteredBookmarks[next].id);
+        break;
+      }
+      case 'Enter':
+        if (!active || isInteractiveTarget(e.target)) return;
+        window.open(active.url, '_blank', 'noopener,noreferrer');
+        handleOpenBookmark(active);
+        break;
+      case 'e':
+        if (!active) return;
+        handleEditBookmark(active);
+        break;
+      case 'Backspace':
+      case 'Delete': {
+        if (!active) return;
+        // Stay at the same place in the list
+        const neighbor = filteredBookmarks[index + 1] || filteredBookmarks[index - 1];
+        setActiveBookmarkId(neighbor ? neighbor.id : null);
+        handleDeleteBookmark(active);
+        break;
+      }
+      case '/':
+        searchInputRef.current?.focus();
+        break;
+      case 'a':
+        setShowAddModal(true);
+        break;
+      case '?':
+        setShowShortcuts(true);
+        break;
+      case 'Escape':
+        if (selectedIds.size > 0) {
+          handleClearSelection();
+        } else {
+          setActiveBookmarkId(null);
+        }
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+  };
+
+  // What the command palette can do besides opening bookmarks
+  const paletteActions = [
+    { id: 'add', label: 'Add Bookmark', shortcut: 'a', run: () => setShowAddModal(true) },
+    { id: 'import', label: 'Import Bookmarks', run: () => importInputRef.current?.click() },
+    ...(bookmarks.length > 0
+      ? ['json', 'csv', 'html'].map(format => ({
+        id: `export-${format}`,
+        label: `Export as ${format.toUpperCase()}`,
+        run: () => handleExport(format)
+      }))
+      : []),
+    {
+      id: 'view',
+      label: viewMode === 'list' ? 'Switch to Grid View' : 'Switch to List View',
+      run: () => setViewMode(viewMode === 'list' ? 'grid' : 'list')
+    },
+    ...READING_TABS.map(({ key, label }) => ({ id: `tab-${key}`, label: `Go to ${label}`, run: () => setReadingTab(key) })),
+    { id: 'search', label: 'Search', shortcut: '/', run: () => searchInputRef.current?.focus() },
+    { id: 'duplicates', label: 'Find Duplicates', run: () => setShowDuplicates(true) },
+    { id: 'trash', label: 'Open Trash', run: handleOpenTrash },
+    { id: 'shortcuts', label: 'Keyboard Shortcuts', shortcut: '?', run: () => setShowShortcuts(true) },
+    ...(isDemoMode
+      ? []
+      : [
+        { id: 'refresh', label: 'Refresh', run: loadBookmarks },
+        { id: 'sign-out', label: 'Sign Out', run: handleSignOut }
+      ])
+  ];
+
+  const handlePaletteOpenBookmark = (bookmark) => {
+    window.open(bookmark.url, '_blank', 'noopener,noreferrer');
+    handleOpenBookmark(bookmark);
+    setActiveBookmarkId(bookmark.id);
+  };
+
+  // Matched words per bookmark, for highlighting
+  const searchHighlights = useMemo(
+    () => new Map(searchResults.map(result => [result.bookmark.id, result.matches])),
+    [searchResults]
+  );
+
+  // Exports the whole library, or just the bookmarks passed in
+  const handleExport = (format = 'json', exportBookmarks = bookmarks) => {
     const exportData = {
       version: '1.0',
       exportDate: new Date().toISOString(),
       platform: 'Web',
-      bookmarks: bookmarks.map(bookmark => ({
+      collections: collections.map(collection => ({
+        id: collection.id,
+        name: collection.name,
+        parentId: collectionsById.has(collection.parentId) ? collection.parentId : null,
+        path: getCollectionPath(collection.id, collectionsById)
+      })),
+      bookmarks: exportBookmarks.map(bookmark => ({
         id: bookmark.id,
         url: bookmark.url,
         title: bookmark.title || '',
         notes: bookmark.notes || '',
         createdAt: bookmark.createdAt,
         modifiedAt: bookmark.modifiedAt,
-        tags: [],
+        tags: normalizeTags(bookmark.tags),
+        collectionPath: getCollectionPath(getBookmarkCollectionId(bookmark, collectionsById), collectionsById),
+        status: getBookmarkStatus(bookmark),
+        isFavorite: Boolean(bookmark.isFavorite),
+        isPinned: Boolean(bookmark.isPinned),
+        lastVisitedAt: bookmark.lastVisitedAt || null,
         metadata: {
           domain: extractDomain(bookmark.url),
           isSecure: bookmark.url.startsWith('https://')
@@ -215,13 +1157,13 @@ function App() {
 
     switch (format) {
       case 'csv':
-        dataStr = exportAsCSV(exportData.bookmarks);
+        dataStr = bookmarksToCSV(exportData.bookmarks);
         filename = `stash-${getDateString()}.csv`;
         mimeType = 'text/csv';
         break;
       
       case 'html':
-        dataStr = exportAsHTML(exportData.bookmarks);
+        dataStr = exportNetscapeBookmarks(exportData.bookmarks);
         filename = `stash-${getDateString()}.html`;
         mimeType = 'text/html';
         break;
@@ -244,104 +1186,31 @@ function App() {
     URL.revokeObjectURL(url);
   };
 
-  const exportAsCSV = (bookmarks) => {
-    let csvContent = 'URL,Title,Notes,Created,Modified\n';
-    
-    bookmarks.forEach(bookmark => {
-      const title = escapeCSV(bookmark.title || '');
-      const notes = escapeCSV(bookmark.notes || '');
-      const created = new Date(bookmark.createdAt).toISOString();
-      const modified = new Date(bookmark.modifiedAt).toISOString();
-      
-      csvContent += `"${bookmark.url}","${title}","${notes}","${created}","${modified}"\n`;
-    });
-    
-    return csvContent;
-  };
-
-  const exportAsHTML = (bookmarks) => {
-    const now = new Date().toLocaleDateString();
-    
-    let htmlContent = `<!DOCTYPE html>
-<html>
-<head>
-    <title>Stash Export</title>
-    <meta charset="utf-8">
-    <style>
-        body { font-family: -apple-system, BlinkMacSystemFont, sans-serif; margin: 40px; }
-        .bookmark { margin: 16px 0; padding: 12px; border-left: 3px solid #007aff; }
-        .title { font-weight: 600; margin-bottom: 4px; }
-        .url { color: #007aff; text-decoration: none; }
-        .notes { color: #666; font-size: 14px; margin-top: 8px; }
-        .date { color: #999; font-size: 12px; }
-    </style>
-</head>
-<body>
-    <h1>Stash</h1>
-    <p>Exported on ${now}</p>
-`;
-
-    bookmarks.forEach(bookmark => {
-      htmlContent += `
-    <div class="bookmark">
-        <div class="title">${htmlEscape(bookmark.title || bookmark.url)}</div>
-        <a href="${bookmark.url}" class="url">${bookmark.url}</a>`;
-      
-      if (bookmark.notes) {
-        htmlContent += `<div class="notes">${htmlEscape(bookmark.notes)}</div>`;
-      }
-      
-      htmlContent += `<div class="date">Added: ${new Date(bookmark.createdAt).toLocaleDateString()}</div>
-    </div>`;
-    });
-
-    htmlContent += '</body></html>';
-    return htmlContent;
-  };
-
   const handleImport = (event) => {
     const file = event.target.files[0];
     if (!file) return;
 
     const reader = new FileReader();
-    reader.onload = async (e) => {
+    reader.onload = (e) => {
       try {
-        let importData = [];
         const fileExtension = file.name.split('.').pop().toLowerCase();
         
         switch (fileExtension) {
           case 'csv':
-            importData = parseCSV(e.target.result);
+            // Columns vary between tools, let the user map them first
+            setCsvImport({ fileName: file.name, text: e.target.result });
             break;
           
           case 'html':
           case 'htm':
-            importData = parseHTML(e.target.result);
+            importBookmarks(parseNetscapeBookmarks(e.target.result), file.name);
             break;
           
-          default:
-            importData = parseJSON(e.target.result);
-        }
-        
-        let imported = 0;
-        let skipped = 0;
-        
-        for (const bookmarkData of importData) {
-          if (bookmarkData.url && isValidURL(bookmarkData.url)) {
-            // Check for duplicates
-            const isDuplicate = bookmarks.some(b => b.url === bookmarkData.url);
-            
-            if (isDuplicate) {
-              skipped++;
-            } else {
-              await handleAddBookmark(bookmarkData);
-              imported++;
-            }
+          default: {
+            const { bookmarks: importData, collectionPaths } = parseJSON(e.target.result);
+            importBookmarks(importData, file.name, collectionPaths);
           }
         }
-        
-        alert(`Import complete: ${imported} imported, ${skipped} skipped`);
-        
       } catch (error) {
         console.error('Failed to import bookmarks:', error);
         alert('Failed to import bookmarks. Please check the file format.');
@@ -353,60 +1222,135 @@ function App() {
     event.target.value = '';
   };
 
+  // Nothing is written until the user confirms the preview. collectionPaths
+  // are folders to recreate even if no bookmark is filed in them.
+  const importBookmarks = (importData, fileName, collectionPaths = []) => {
+    setImportPreview({ fileName, plan: buildImportPlan(importData, bookmarks), collectionPaths });
+  };
+
+  // Write one batch of import tasks: new bookmarks in a single request,
+  // updates one by one since each carries its own change tag
+  const importBatch = async (tasks, fileBookmark) => {
+    const results = new Array(tasks.length);
+    const adds = tasks.map((task, index) => ({ task, index })).filter(({ task }) => task.type === 'add');
+
+    if (adds.length > 0) {
+      const saved = await createBookmarks(adds.map(({ task }) => fileBookmark(task.bookmark)));
+      saved.forEach((result, i) => {
+        results[adds[i].index] = result;
+      });
+    }
+
+    for (let index = 0; index < tasks.length; index++) {
+      if (tasks[index].type !== 'update') continue;
+
+      try {
+        results[index] = await saveBookmarkChanges(tasks[index].bookmark);
+      } catch (error) {
+        if (CloudKitService.isConflictError(error)) {
+          error.message = 'Changed on another device';
+        }
+        results[index] = { error };
+      }
+    }
+
+    return results;
+  };
+
+  // Folders in the file become collections, matched by name to the ones we
+  // have. Returns a function that files an imported bookmark in its collection.
+  const createImportedCollections = async (tasks, extraPaths = []) => {
+    const paths = tasks
+      .filter(task => task.type === 'add')
+      .map(task => getImportedCollectionPath(task.bookmark));
+    const { collectionIds, created } = resolveCollectionPaths(
+      [...extraPaths, ...paths].filter(path => path.length > 0),
+      collections,
+      () => CloudKitService.generateRecordName()
+    );
+
+    const newCollections = created.map(({ id, name, parentId }) => ({
+      ...newCollection(name, parentId),
+      id,
+      recordName: id
+    }));
+
+    if (newCollections.length > 0) {
+      setCollections(prev => [...prev, ...newCollections]);
+    }
+
+    // Parents come first, so they reach the server before their children
+    if (!isDemoMode) {
+      for (const collection of newCollections) {
+        await offlineManager.queueOperation('ADD_COLLECTION', collection);
+      }
+    }
+
+    return (bookmark) => {
+      const path = getImportedCollectionPath(bookmark);
+      return path.length > 0
+        ? { ...bookmark, collectionId: collectionIds.get(collectionPathKey(path)) }
+        : bookmark;
+    };
+  };
+
+  // Sync status is set once for the whole run rather than per bookmark
+  const runImport = async (tasks, { signal, onProgress }) => {
+    setSyncStatus('syncing');
+
+    let fileBookmark;
+    try {
+      fileBookmark = await createImportedCollections(tasks, importPreview?.collectionPaths);
+    } catch (error) {
+      // Nothing written yet, the whole run can be resumed
+      console.error('Failed to create collections for import:', error);
+      setSyncStatus('error');
+      return { processed: 0, failures: [], remaining: tasks, cancelled: false, error };
+    }
+
+    const result = await runInBatches(tasks, batch => importBatch(batch, fileBookmark), {
+      batchSize: MAX_RECORDS_PER_SAVE,
+      signal,
+      onProgress
+    });
+
+    if (result.error || result.failures.length > 0) {
+      setSyncStatus('error');
+    } else {
+      setSyncStatus('success');
+      setTimeout(() => setSyncStatus('idle'), 2000);
+    }
+
+    return result;
+  };
+
+
+  const handleCSVImport = (importData) => {
+    const { fileName } = csvImport;
+
+    setCsvImport(null);
+    importBookmarks(importData, fileName);
+  };
+
   const parseJSON = (jsonString) => {
     const data = JSON.parse(jsonString);
     
     // Handle new format
     if (data.bookmarks && Array.isArray(data.bookmarks)) {
-      return data.bookmarks;
+      const collectionPaths = Array.isArray(data.collections)
+        ? data.collections.map(collection => getImportedCollectionPath({ collectionPath: collection.path }))
+        : [];
+      return { bookmarks: data.bookmarks, collectionPaths };
     }
     
     // Handle array format
     if (Array.isArray(data)) {
-      return data;
+      return { bookmarks: data, collectionPaths: [] };
     }
     
     throw new Error('Invalid JSON format');
   };
 
-  const parseCSV = (csvString) => {
-    const lines = csvString.split('\n');
-    const bookmarks = [];
-    
-    // Skip header row
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      
-      const fields = parseCSVLine(line);
-      if (fields.length >= 2) {
-        bookmarks.push({
-          url: fields[0],
-          title: fields[1] || null,
-          notes: fields[2] || null,
-          createdAt: new Date().toISOString(),
-          modifiedAt: new Date().toISOString()
-        });
-      }
-    }
-    
-    return bookmarks;
-  };
-
-  const parseHTML = (htmlString) => {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(htmlString, 'text/html');
-    const links = doc.querySelectorAll('a[href]');
-    
-    return Array.from(links).map(link => ({
-      url: link.href,
-      title: link.textContent.trim() || null,
-      notes: null,
-      createdAt: new Date().toISOString(),
-      modifiedAt: new Date().toISOString()
-    }));
-  };
-
   // Utility functions
   const extractDomain = (url) => {
     try {
@@ -416,59 +1360,11 @@ function App() {
     }
   };
 
-  const escapeCSV = (str) => {
-    return str.replace(/"/g, '""');
-  };
-
-  const htmlEscape = (str) => {
-    return str
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;');
-  };
-
-  const parseCSVLine = (line) => {
-    const fields = [];
-    let currentField = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      
-      if (char === '"') {
-        if (inQuotes && line[i + 1] === '"') {
-          currentField += '"';
-          i++;
-        } else {
-          inQuotes = !inQuotes;
-        }
-      } else if (char === ',' && !inQuotes) {
-        fields.push(currentField);
-        currentField = '';
-      } else {
-        currentField += char;
-      }
-    }
-    
-    fields.push(currentField);
-    return fields;
-  };
-
   const getDateString = () => {
     const now = new Date();
     return now.toISOString().split('T')[0].replace(/-/g, '');
   };
 
-  const isValidURL = (string) => {
-    try {
-      new URL(string);
-      return true;
-    } catch {
-      return false;
-    }
-  };
-
   if (authState === 'initializing') {
     return (
       <div className="container">
@@ -529,8 +1425,10 @@ function App() {
           <>
             <div className="search-container">
               <input
+                ref={searchInputRef}
                 type="text"
                 placeholder="Search"
+                title='Filter with domain:, title:, notes:, tag:, after:YYYY-MM-DD, before:, "phrases", -exclude and OR'
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 className="search-input"
@@ -632,6 +1530,7 @@ function App() {
               <label className="button button-secondary" style={{ cursor: 'pointer', margin: 0 }}>
                 Import
                 <input
+                  ref={importInputRef}
                   type="file"
                   accept=".json,.csv,.html,.htm"
                   onChange={handleImport}
@@ -639,6 +1538,29 @@ function App() {
                 />
               </label>
 
+              <button
+                onClick={() => setShowDuplicates(true)}
+                className="button button-secondary"
+                disabled={bookmarks.length < 2}
+              >
+                Duplicates
+              </button>
+
+              <button
+                onClick={handleOpenTrash}
+                className="button button-secondary"
+              >
+                Trash
+              </button>
+
+              <button
+                onClick={() => setShowPalette(true)}
+                className="palette-button"
+                title="Command palette (press ? for all shortcuts)"
+              >
+                {PALETTE_SHORTCUT_LABEL}
+              </button>
+
               <button
                 onClick={() => setViewMode(viewMode === 'list' ? 'grid' : 'list')}
                 className="view-toggle-single"
@@ -646,21 +1568,201 @@ function App() {
               >
                 {viewMode === 'list' ? '⊞' : '☰'}
               </button>
+
+              <div className="sort-control">
+                <select
+                  value={sortOrder.field}
+                  onChange={(e) => handleSortChange({ field: e.target.value })}
+                  className="sort-select"
+                  aria-label="Sort by"
+                >
+                  {SORT_FIELDS.map(({ key, label }) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleSortChange({ direction: sortOrder.direction === 'asc' ? 'desc' : 'asc' })}
+                  className="sort-direction"
+                  title={getDirectionLabel(sortOrder)}
+                  aria-label={`Sort ${getDirectionLabel(sortOrder)}`}
+                >
+                  {sortOrder.direction === 'asc' ? '↑' : '↓'}
+                </button>
+              </div>
             </div>
 
-            <BookmarkList
-              bookmarks={filteredBookmarks}
-              onDelete={handleDeleteBookmark}
-              searchTerm={searchTerm}
-              viewMode={viewMode}
-            />
+            <div className="content-layout">
+              <div className="sidebar">
+                <CollectionSidebar
+                  collections={collections}
+                  counts={collectionCounts}
+                  totalCount={bookmarks.length}
+                  selectedCollection={activeCollection}
+                  onSelectCollection={setSelectedCollection}
+                  onCreateCollection={handleCreateCollection}
+                  onRenameCollection={handleRenameCollection}
+                  onMoveCollection={handleMoveCollection}
+                  onDeleteCollection={handleDeleteCollection}
+                  onMoveBookmark={handleMoveBookmark}
+                />
+                <TagSidebar
+                  tags={allTags}
+                  selectedTag={activeTag}
+                  onSelectTag={setSelectedTag}
+                  totalCount={bookmarks.length}
+                />
+              </div>
+
+              <div className="content-main">
+                <div className="reading-tabs">
+                  <div className="reading-tabs-list" role="tablist">
+                    {READING_TABS.map(({ key, label }) => (
+                      <button
+                        key={key}
+                        role="tab"
+                        aria-selected={readingTab === key}
+                        className={`reading-tab ${readingTab === key ? 'selected' : ''}`}
+                        onClick={() => setReadingTab(key)}
+                      >
+                        {label}
+                        {readingTabCounts[key] > 0 && (
+                          <span className="reading-tab-count">{readingTabCounts[key]}</span>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                  <label className="reading-tabs-option">
+                    <input
+                      type="checkbox"
+                      checked={markReadOnOpen}
+                      onChange={(e) => handleMarkReadOnOpenChange(e.target.checked)}
+                    />
+                    Mark read when opened
+                  </label>
+                </div>
+
+                {selectedBookmarks.length > 0 && (
+                  <BulkActionBar
+                    selectedCount={selectedBookmarks.length}
+                    totalCount={filteredBookmarks.length}
+                    availableTags={allTags.map(tag => tag.name)}
+                    collections={collections}
+                    onSelectAll={handleSelectAll}
+                    onClearSelection={handleClearSelection}
+                    onArchive={handleBulkArchive}
+                    onAddTag={handleBulkAddTag}
+                    onRemoveTag={handleBulkRemoveTag}
+                    onMove={handleBulkMove}
+                    onOpenAll={handleBulkOpen}
+                    onExport={(format) => handleExport(format, selectedBookmarks)}
+                    onDelete={handleBulkDelete}
+                  />
+                )}
+
+                <BookmarkList
+                  bookmarks={filteredBookmarks}
+                  onDelete={handleDeleteBookmark}
+                  onEdit={handleEditBookmark}
+                  onUpdate={handleQuickUpdate}
+                  onOpen={handleOpenBookmark}
+                  onTagClick={setSelectedTag}
+                  searchTerm={searchTerm}
+                  highlights={searchHighlights}
+                  viewMode={viewMode}
+                  collectionPath={activeCollectionPath}
+                  readingTab={readingTab}
+                  sortOrder={sortOrder}
+                  selectedIds={selectedIds}
+                  onToggleSelect={handleToggleSelect}
+                  activeId={activeBookmarkId}
+                  scrollKey={[activeCollection, readingTab, activeTag, viewMode, searchTerm].join('|')}
+                />
+              </div>
+            </div>
 
             {showAddModal && (
               <AddBookmarkModal
+                availableTags={allTags.map(tag => tag.name)}
+                existingBookmarks={bookmarks}
+                collections={collections}
+                defaultCollectionId={activeCollection === 'unfiled' ? null : activeCollection}
                 onSave={handleAddBookmark}
+                onEditExisting={handleEditExisting}
                 onClose={() => setShowAddModal(false)}
               />
             )}
+
+            {csvImport && (
+              <CSVImportModal
+                fileName={csvImport.fileName}
+                text={csvImport.text}
+                onImport={handleCSVImport}
+                onClose={() => setCsvImport(null)}
+              />
+            )}
+
+            {importPreview && (
+              <ImportPreviewModal
+                fileName={importPreview.fileName}
+                plan={importPreview.plan}
+                onRunImport={runImport}
+                onClose={() => setImportPreview(null)}
+              />
+            )}
+
+            {showTrash && (
+              <TrashModal
+                bookmarks={trashedBookmarks}
+                error={trashError}
+                retentionDays={trashRetentionDays}
+                onRetentionChange={handleTrashRetentionChange}
+                onRestore={handleRestoreFromTrash}
+                onPurge={handlePurgeFromTrash}
+                onClose={() => setShowTrash(false)}
+              />
+            )}
+
+            {showPalette && (
+              <CommandPalette
+                actions={paletteActions}
+                bookmarks={sortedBookmarks}
+                onOpenBookmark={handlePaletteOpenBookmark}
+                onClose={() => setShowPalette(false)}
+              />
+            )}
+
+            {showShortcuts && (
+              <ShortcutsOverlay onClose={() => setShowShortcuts(false)} />
+            )}
+
+            {undoToast && (
+              <UndoToast
+                key={undoToast.id}
+                message={undoToast.message}
+                onUndo={handleUndoDelete}
+                onDismiss={() => setUndoToast(null)}
+              />
+            )}
+
+            {showDuplicates && (
+              <DuplicatesModal
+                bookmarks={bookmarks}
+                onMerge={handleMergeDuplicates}
+                onClose={() => setShowDuplicates(false)}
+              />
+            )}
+
+            {editingBookmark && (
+              <AddBookmarkModal
+                bookmark={editingBookmark}
+                error={editError}
+                availableTags={allTags.map(tag => tag.name)}
+                existingBookmarks={bookmarks}
+                collections={collections}
+                onSave={handleUpdateBookmark}
+                onClose={handleCloseEditModal}
+              />
+            )}
           </>
         )}
       </div>
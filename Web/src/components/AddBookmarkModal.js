@@ -1,14 +1,48 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import TagInput from './TagInput';
+import { canonicalizeURL, indexByCanonicalURL } from '../utils/url';
+import {
+  buildCollectionTree,
+  flattenCollectionTree,
+  indexCollections,
+  getBookmarkCollectionId
+} from '../utils/collections';
 
-function AddBookmarkModal({ onSave, onClose }) {
-  const [url, setUrl] = useState('');
-  const [title, setTitle] = useState('');
-  const [notes, setNotes] = useState('');
+function AddBookmarkModal({
+  bookmark = null,
+  error = null,
+  availableTags = [],
+  existingBookmarks = [],
+  collections = [],
+  defaultCollectionId = null,
+  onSave,
+  onEditExisting,
+  onClose
+}) {
+  const isEditing = Boolean(bookmark);
+  const [url, setUrl] = useState(bookmark?.url || '');
+  const [title, setTitle] = useState(bookmark?.title || '');
+  const [notes, setNotes] = useState(bookmark?.notes || '');
+  const [tags, setTags] = useState(bookmark?.tags || []);
+  const [collectionId, setCollectionId] = useState(() => (
+    bookmark ? getBookmarkCollectionId(bookmark, indexCollections(collections)) : defaultCollectionId
+  ));
   const [isValidUrl, setIsValidUrl] = useState(true);
 
+  const collectionOptions = useMemo(
+    () => flattenCollectionTree(buildCollectionTree(collections)),
+    [collections]
+  );
+
+  const urlIndex = useMemo(() => indexByCanonicalURL(existingBookmarks), [existingBookmarks]);
+
+  // Another bookmark for the same page, ignoring the one being edited
+  const existing = url && isValidUrl ? urlIndex.get(canonicalizeURL(url)) : null;
+  const duplicate = existing && existing.id !== bookmark?.id ? existing : null;
+
   useEffect(() => {
-    // Check clipboard for URL
-    if (navigator.clipboard && navigator.clipboard.readText) {
+    // Check clipboard for URL when adding a new bookmark
+    if (!isEditing && navigator.clipboard && navigator.clipboard.readText) {
       navigator.clipboard.readText()
         .then(text => {
           if (isValidURL(text)) {
@@ -20,7 +54,7 @@ function AddBookmarkModal({ onSave, onClose }) {
           // Clipboard access denied, ignore
         });
     }
-  }, []);
+  }, [isEditing]);
 
   const isValidURL = (string) => {
     try {
@@ -56,10 +90,35 @@ function AddBookmarkModal({ onSave, onClose }) {
     
     if (!url || !isValidUrl) return;
 
+    if (isEditing) {
+      const changes = {
+        url: url.trim(),
+        title: title.trim() || null,
+        notes: notes.trim() || null,
+        tags,
+        collectionId
+      };
+
+      // Nothing changed, no need for a round trip
+      const hasChanges = ['url', 'title', 'notes', 'collectionId'].some(
+        key => (changes[key] || '') !== (bookmark[key] || '')
+      ) || tags.join('\n') !== (bookmark.tags || []).join('\n');
+
+      if (!hasChanges) {
+        onClose();
+        return;
+      }
+
+      onSave({ ...bookmark, ...changes });
+      return;
+    }
+
     const bookmarkData = {
       url: url.trim(),
       title: title.trim() || null,
       notes: notes.trim() || null,
+      tags,
+      collectionId,
       createdAt: new Date(),
       modifiedAt: new Date()
     };
@@ -77,7 +136,7 @@ function AddBookmarkModal({ onSave, onClose }) {
     <div className="modal-overlay" onClick={handleOverlayClick}>
       <div className="modal">
         <div className="modal-header">
-          <h2 className="modal-title">Add Bookmark</h2>
+          <h2 className="modal-title">{isEditing ? 'Edit Bookmark' : 'Add Bookmark'}</h2>
           <button onClick={onClose} className="close-button">
             ×
           </button>
@@ -85,6 +144,12 @@ function AddBookmarkModal({ onSave, onClose }) {
 
         <form onSubmit={handleSubmit}>
           <div className="modal-body">
+            {error && (
+              <div style={{ color: '#ff3b30', fontSize: '13px', marginBottom: '16px' }}>
+                {error}
+              </div>
+            )}
+
             <div className="form-group">
               <label className="form-label">URL</label>
               <input
@@ -101,6 +166,20 @@ function AddBookmarkModal({ onSave, onClose }) {
                   Please enter a valid URL
                 </div>
               )}
+              {duplicate && (
+                <div className="duplicate-warning">
+                  Already saved as “{duplicate.title || duplicate.url}”
+                  {onEditExisting && (
+                    <button
+                      type="button"
+                      onClick={() => onEditExisting(duplicate)}
+                      className="duplicate-warning-action"
+                    >
+                      Edit it instead
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
 
             <div className="form-group">
@@ -124,6 +203,33 @@ function AddBookmarkModal({ onSave, onClose }) {
                 rows={3}
               />
             </div>
+
+            <div className="form-group">
+              <label className="form-label">Tags</label>
+              <TagInput
+                tags={tags}
+                onChange={setTags}
+                suggestions={availableTags}
+              />
+            </div>
+
+            {collectionOptions.length > 0 && (
+              <div className="form-group">
+                <label className="form-label">Collection</label>
+                <select
+                  value={collectionId || ''}
+                  onChange={(e) => setCollectionId(e.target.value || null)}
+                  className="form-input"
+                >
+                  <option value="">None</option>
+                  {collectionOptions.map(({ collection, depth }) => (
+                    <option key={collection.id} value={collection.id}>
+                      {'\u00a0\u00a0'.repeat(depth)}{collection.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
           </div>
 
           <div className="form-actions">
@@ -141,7 +247,7 @@ function AddBookmarkModal({ onSave, onClose }) {
               disabled={!url || !isValidUrl}
               style={{ flex: 1 }}
             >
-              Add
+              {isEditing ? 'Save' : 'Add'}
             </button>
           </div>
         </form>
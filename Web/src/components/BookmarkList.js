@@ -1,6 +1,41 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
+import Highlight from './Highlight';
+import VirtualBookmarkList from './VirtualBookmarkList';
+import { BOOKMARK_DRAG_TYPE } from './CollectionSidebar';
+import { getBookmarkStatus } from '../utils/readingStatus';
+import { DEFAULT_SORT, getSortDate } from '../utils/sort';
+
+// Empty states for the Favorites and Archive tabs
+const READING_TAB_EMPTY_STATES = {
+  favorites: { icon: '☆', title: 'No Favorites', description: 'Star a bookmark to keep it here' },
+  archive: { icon: '🗄', title: 'Nothing Archived', description: 'Archived bookmarks leave the inbox and show up here' }
+};
+
+function BookmarkList({
+  bookmarks,
+  onDelete,
+  onEdit,
+  onUpdate,
+  onOpen,
+  onTagClick,
+  searchTerm,
+  highlights,
+  viewMode = 'list',
+  collectionPath = [],
+  readingTab = 'inbox',
+  sortOrder = DEFAULT_SORT,
+  selectedIds,
+  onToggleSelect,
+  activeId,
+  scrollKey
+}) {
+  // The bookmark j and k move to, kept in view. The virtual list keeps its row rendered.
+  const activeRef = useRef(null);
+
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [activeId]);
 
-function BookmarkList({ bookmarks, onDelete, searchTerm, viewMode = 'list' }) {
   const extractDomain = (url) => {
     try {
       return new URL(url).hostname.replace('www.', '');
@@ -9,96 +44,291 @@ function BookmarkList({ bookmarks, onDelete, searchTerm, viewMode = 'list' }) {
     }
   };
 
+  const formatDate = (date) => {
+    const now = new Date();
+    const bookmarkDate = new Date(date);
+    const diffTime = Math.abs(now - bookmarkDate);
+    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+
+    if (diffDays === 1) return 'Today';
+    if (diffDays === 2) return 'Yesterday';
+    if (diffDays <= 7) return `${diffDays - 1} days ago`;
+    
+    return bookmarkDate.toLocaleDateString();
+  };
+
   const handleDelete = (e, bookmark) => {
     e.preventDefault();
     e.stopPropagation();
-    if (window.confirm('Delete this bookmark?')) {
-      onDelete(bookmark);
-    }
+    onDelete(bookmark);
   };
 
-  if (bookmarks.length === 0) {
+  const handleEdit = (e, bookmark) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onEdit(bookmark);
+  };
+
+  const handleUpdate = (e, bookmark, changes) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onUpdate(bookmark, changes);
+  };
+
+  const getTerms = (bookmark) => highlights?.get(bookmark.id);
+
+  const handleLinkClick = (e, bookmark) => {
+    e.stopPropagation();
+    onOpen && onOpen(bookmark);
+  };
+
+  // Pin, favorite, read and archive toggles
+  const renderReadingActions = (bookmark) => {
+    if (!onUpdate) return null;
+
+    const status = getBookmarkStatus(bookmark);
+
     return (
-      <div className="empty-state">
-        <div className="empty-state-icon">
-          {searchTerm ? '🔍' : '🔖'}
-        </div>
-        <h2 className="empty-state-title">
-          {searchTerm ? 'No Results' : 'No Bookmarks'}
-        </h2>
-        <p className="empty-state-description">
-          {searchTerm 
-            ? 'Try a different search term' 
-            : 'Tap + to add your first URL bookmark'}
-        </p>
+      <div className="bookmark-reading-actions">
+        <button
+          className={`reading-action ${bookmark.isPinned ? 'active' : ''}`}
+          onClick={(e) => handleUpdate(e, bookmark, { isPinned: !bookmark.isPinned })}
+          aria-label={bookmark.isPinned ? 'Unpin' : 'Pin to top'}
+          title={bookmark.isPinned ? 'Unpin' : 'Pin to top'}
+        >
+          📌
+        </button>
+        <button
+          className={`reading-action ${bookmark.isFavorite ? 'active' : ''}`}
+          onClick={(e) => handleUpdate(e, bookmark, { isFavorite: !bookmark.isFavorite })}
+          aria-label={bookmark.isFavorite ? 'Remove from favorites' : 'Add to favorites'}
+          title={bookmark.isFavorite ? 'Remove from favorites' : 'Add to favorites'}
+        >
+          {bookmark.isFavorite ? '★' : '☆'}
+        </button>
+        {status !== 'archived' && (
+          <button
+            className="reading-action"
+            onClick={(e) => handleUpdate(e, bookmark, { status: status === 'unread' ? 'read' : 'unread' })}
+            aria-label={status === 'unread' ? 'Mark read' : 'Mark unread'}
+            title={status === 'unread' ? 'Mark read' : 'Mark unread'}
+          >
+            {status === 'unread' ? '✓' : '●'}
+          </button>
+        )}
+        <button
+          className="reading-action"
+          onClick={(e) => handleUpdate(e, bookmark, { status: status === 'archived' ? 'read' : 'archived' })}
+          aria-label={status === 'archived' ? 'Move to inbox' : 'Archive'}
+          title={status === 'archived' ? 'Move to inbox' : 'Archive'}
+        >
+          {status === 'archived' ? '↩' : '⤓'}
+        </button>
       </div>
     );
-  }
+  };
+
+  const renderTitle = (bookmark) => (
+    <div className="bookmark-title">
+      {getBookmarkStatus(bookmark) === 'unread' && <span className="unread-dot" aria-label="Unread" />}
+      <Highlight text={bookmark.title || extractDomain(bookmark.url)} terms={getTerms(bookmark)} />
+    </div>
+  );
+
+  // Added, modified or last visited, whichever the list is sorted by
+  const renderDate = (bookmark) => {
+    const date = getSortDate(bookmark, sortOrder);
+    return date && <div className="bookmark-date">{formatDate(date)}</div>;
+  };
+
+  // Shift-click extends the selection from the last box clicked
+  const renderCheckbox = (bookmark) => onToggleSelect && (
+    <input
+      type="checkbox"
+      className="bookmark-select"
+      checked={selectedIds.has(bookmark.id)}
+      onChange={() => {}}
+      onClick={(e) => {
+        e.stopPropagation();
+        onToggleSelect(bookmark, e.nativeEvent.shiftKey);
+      }}
+      aria-label={`Select ${bookmark.title || extractDomain(bookmark.url)}`}
+    />
+  );
+
+  const stateClasses = (bookmark) => [
+    selectedIds?.has(bookmark.id) && 'selected',
+    bookmark.id === activeId && 'active'
+  ].filter(Boolean).join(' ');
+
+  const activeProps = (bookmark) => (bookmark.id === activeId ? { ref: activeRef, 'aria-current': 'true' } : {});
+
+  // Dropped on a collection in the sidebar to file it there
+  const dragProps = (bookmark) => ({
+    draggable: true,
+    onDragStart: (e) => {
+      e.dataTransfer.setData(BOOKMARK_DRAG_TYPE, bookmark.id);
+      e.dataTransfer.setData('text/uri-list', bookmark.url);
+      e.dataTransfer.effectAllowed = 'move';
+    }
+  });
+
+  const header = collectionPath.length > 0 && (
+    <div className="collection-header">
+      {collectionPath.map((name, index) => (
+        <span key={index} className={index === collectionPath.length - 1 ? 'collection-header-current' : ''}>
+          {index > 0 && <span className="collection-header-separator">›</span>}
+          {name}
+        </span>
+      ))}
+      <span className="tag-sidebar-count">{bookmarks.length}</span>
+    </div>
+  );
+
+  const renderTags = (bookmark) => {
+    if (!bookmark.tags || bookmark.tags.length === 0) return null;
 
-  if (viewMode === 'grid') {
     return (
-      <div className="bookmarks-grid">
-        {bookmarks.map((bookmark) => (
-          <div key={bookmark.id} className="bookmark-card">
-            <button
-              className="bookmark-card-delete"
-              onClick={(e) => handleDelete(e, bookmark)}
-              aria-label="Delete bookmark"
-            >
-              ×
-            </button>
-            <div className="bookmark-title">
-              {bookmark.title || extractDomain(bookmark.url)}
-            </div>
-            <a 
-              href={bookmark.url} 
-              target="_blank" 
-              rel="noopener noreferrer"
-              className="bookmark-url"
-              onClick={(e) => e.stopPropagation()}
-            >
-              {extractDomain(bookmark.url)}
-            </a>
-            {bookmark.notes && (
-              <div className="bookmark-notes">{bookmark.notes}</div>
-            )}
-          </div>
+      <div className="bookmark-tags">
+        {bookmark.tags.map(tag => (
+          <button
+            key={tag}
+            className="tag-chip"
+            onClick={(e) => {
+              e.stopPropagation();
+              onTagClick && onTagClick(tag);
+            }}
+          >
+            #<Highlight text={tag} terms={getTerms(bookmark)} />
+          </button>
         ))}
       </div>
     );
-  }
+  };
 
-  return (
-    <ul className="bookmarks-list">
-      {bookmarks.map((bookmark) => (
-        <li key={bookmark.id} className="bookmark-item">
-          <div className="bookmark-info">
-            <div className="bookmark-title">
-              {bookmark.title || extractDomain(bookmark.url)}
+  if (bookmarks.length === 0) {
+    const inCollection = collectionPath.length > 0 && !searchTerm;
+    const tabEmptyState = !searchTerm && READING_TAB_EMPTY_STATES[readingTab];
+
+    return (
+      <>
+        {header}
+        {tabEmptyState ? (
+          <div className="empty-state">
+            <div className="empty-state-icon">{tabEmptyState.icon}</div>
+            <h2 className="empty-state-title">{tabEmptyState.title}</h2>
+            <p className="empty-state-description">{tabEmptyState.description}</p>
+          </div>
+        ) : (
+          <div className="empty-state">
+            <div className="empty-state-icon">
+              {searchTerm ? '🔍' : inCollection ? '📁' : '🔖'}
             </div>
-            <a 
-              href={bookmark.url} 
-              target="_blank" 
-              rel="noopener noreferrer"
-              className="bookmark-url"
-              onClick={(e) => e.stopPropagation()}
-            >
-              {extractDomain(bookmark.url)}
-            </a>
-            {bookmark.notes && (
-              <div className="bookmark-notes">{bookmark.notes}</div>
-            )}
+            <h2 className="empty-state-title">
+              {searchTerm ? 'No Results' : inCollection ? 'Empty Collection' : 'No Bookmarks'}
+            </h2>
+            <p className="empty-state-description">
+              {searchTerm 
+                ? 'Try a different search term' 
+                : inCollection
+                  ? 'Drag bookmarks onto it in the sidebar, or tap + to add one here'
+                  : 'Tap + to add your first URL bookmark'}
+            </p>
           </div>
-          <button
-            className="bookmark-delete-btn"
-            onClick={(e) => handleDelete(e, bookmark)}
-            aria-label="Delete bookmark"
-          >
-            ×
-          </button>
-        </li>
-      ))}
-    </ul>
+        )}
+      </>
+    );
+  }
+
+  const renderCard = (bookmark) => (
+    <div className={`bookmark-card ${stateClasses(bookmark)}`} {...dragProps(bookmark)} {...activeProps(bookmark)}>
+      {renderCheckbox(bookmark)}
+      <button
+        className="bookmark-card-edit"
+        onClick={(e) => handleEdit(e, bookmark)}
+        aria-label="Edit bookmark"
+      >
+        ✎
+      </button>
+      <button
+        className="bookmark-card-delete"
+        onClick={(e) => handleDelete(e, bookmark)}
+        aria-label="Delete bookmark"
+      >
+        ×
+      </button>
+      {renderTitle(bookmark)}
+      <a 
+        href={bookmark.url} 
+        target="_blank" 
+        rel="noopener noreferrer"
+        className="bookmark-url"
+        onClick={(e) => handleLinkClick(e, bookmark)}
+      >
+        <Highlight text={extractDomain(bookmark.url)} terms={getTerms(bookmark)} />
+      </a>
+      {bookmark.notes && (
+        <div className="bookmark-notes">
+          <Highlight text={bookmark.notes} terms={getTerms(bookmark)} />
+        </div>
+      )}
+      {renderTags(bookmark)}
+      {renderDate(bookmark)}
+      {renderReadingActions(bookmark)}
+    </div>
+  );
+
+  const renderRow = (bookmark) => (
+    <div className={`bookmark-item ${stateClasses(bookmark)}`} {...dragProps(bookmark)} {...activeProps(bookmark)}>
+      {renderCheckbox(bookmark)}
+      <div className="bookmark-info">
+        {renderTitle(bookmark)}
+        <a 
+          href={bookmark.url} 
+          target="_blank" 
+          rel="noopener noreferrer"
+          className="bookmark-url"
+          onClick={(e) => handleLinkClick(e, bookmark)}
+        >
+          <Highlight text={extractDomain(bookmark.url)} terms={getTerms(bookmark)} />
+        </a>
+        {bookmark.notes && (
+          <div className="bookmark-notes">
+            <Highlight text={bookmark.notes} terms={getTerms(bookmark)} />
+          </div>
+        )}
+        {renderTags(bookmark)}
+        {renderDate(bookmark)}
+      </div>
+      {renderReadingActions(bookmark)}
+      <button
+        className="bookmark-edit-btn"
+        onClick={(e) => handleEdit(e, bookmark)}
+        aria-label="Edit bookmark"
+      >
+        ✎
+      </button>
+      <button
+        className="bookmark-delete-btn"
+        onClick={(e) => handleDelete(e, bookmark)}
+        aria-label="Delete bookmark"
+      >
+        ×
+      </button>
+    </div>
+  );
+
+  return (
+    <>
+      {header}
+      <VirtualBookmarkList
+        bookmarks={bookmarks}
+        viewMode={viewMode}
+        renderBookmark={viewMode === 'grid' ? renderCard : renderRow}
+        activeId={activeId}
+        scrollKey={scrollKey}
+      />
+    </>
   );
 }
 
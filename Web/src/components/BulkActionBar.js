@@ -0,0 +1,122 @@
+import React, { useState, useMemo } from 'react';
+import { buildCollectionTree, flattenCollectionTree } from '../utils/collections';
+
+// Shown above the list while bookmarks are selected
+function BulkActionBar({
+  selectedCount,
+  totalCount,
+  availableTags = [],
+  collections = [],
+  onSelectAll,
+  onClearSelection,
+  onArchive,
+  onAddTag,
+  onRemoveTag,
+  onMove,
+  onOpenAll,
+  onExport,
+  onDelete
+}) {
+  const [tag, setTag] = useState('');
+
+  const collectionOptions = useMemo(
+    () => flattenCollectionTree(buildCollectionTree(collections)),
+    [collections]
+  );
+
+  const handleTag = (e, apply) => {
+    e.preventDefault();
+    const trimmed = tag.trim();
+    if (!trimmed) return;
+
+    apply(trimmed);
+    setTag('');
+  };
+
+  // The selects run their action and go back to the placeholder
+  const handleMove = (e) => {
+    const { value } = e.target;
+    e.target.value = '';
+    if (value) onMove(value === 'unfiled' ? null : value);
+  };
+
+  const handleExport = (e) => {
+    const { value } = e.target;
+    e.target.value = '';
+    if (value) onExport(value);
+  };
+
+  return (
+    <div className="bulk-action-bar" role="toolbar" aria-label="Selected bookmarks">
+      <div className="bulk-action-selection">
+        <span className="bulk-action-count">{selectedCount} selected</span>
+        {selectedCount < totalCount && (
+          <button className="bulk-action-link" onClick={onSelectAll}>
+            Select all {totalCount}
+          </button>
+        )}
+        <button className="bulk-action-link" onClick={onClearSelection}>
+          Clear
+        </button>
+      </div>
+
+      <div className="bulk-action-buttons">
+        <button className="button button-secondary" onClick={onArchive}>
+          Archive
+        </button>
+
+        <form className="bulk-action-tag" onSubmit={(e) => handleTag(e, onAddTag)}>
+          <input
+            type="text"
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            placeholder="Tag"
+            className="form-input"
+            list="bulk-action-tags"
+            aria-label="Tag"
+          />
+          <datalist id="bulk-action-tags">
+            {availableTags.map(name => <option key={name} value={name} />)}
+          </datalist>
+          <button type="submit" className="button button-secondary" disabled={!tag.trim()}>
+            Add
+          </button>
+          <button
+            type="button"
+            className="button button-secondary"
+            onClick={(e) => handleTag(e, onRemoveTag)}
+            disabled={!tag.trim()}
+          >
+            Remove
+          </button>
+        </form>
+
+        <select className="form-input bulk-action-select" defaultValue="" onChange={handleMove} aria-label="Move to collection">
+          <option value="" disabled>Move to…</option>
+          <option value="unfiled">Unfiled</option>
+          {collectionOptions.map(({ collection, depth }) => (
+            <option key={collection.id} value={collection.id}>
+              {'\u00a0\u00a0'.repeat(depth)}{collection.name}
+            </option>
+          ))}
+        </select>
+
+        <select className="form-input bulk-action-select" defaultValue="" onChange={handleExport} aria-label="Export selection">
+          <option value="" disabled>Export…</option>
+          <option value="json">JSON</option>
+          <option value="csv">CSV</option>
+          <option value="html">HTML</option>
+        </select>
+
+        <button className="button button-secondary" onClick={onOpenAll}>
+          Open All
+        </button>
+        <button className="button button-danger" onClick={onDelete}>
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BulkActionBar;
@@ -0,0 +1,174 @@
+import React, { useState, useMemo } from 'react';
+import {
+  DELIMITERS,
+  IMPORT_FIELDS,
+  parseCSV,
+  detectDelimiter,
+  guessColumnMapping,
+  isStashHeader,
+  rowsToBookmarks
+} from '../utils/csv';
+
+const PREVIEW_ROWS = 5;
+
+function CSVImportModal({ fileName, text, onImport, onClose }) {
+  const [delimiter, setDelimiter] = useState(() => detectDelimiter(text));
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mappingOverrides, setMappingOverrides] = useState({});
+
+  const rows = useMemo(() => parseCSV(text, delimiter), [text, delimiter]);
+  const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+  const header = hasHeader && rows.length > 0
+    ? rows[0]
+    : Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`);
+  const dataRows = useMemo(() => (hasHeader ? rows.slice(1) : rows), [rows, hasHeader]);
+  const isStashExport = hasHeader && rows.length > 0 && isStashHeader(rows[0]);
+
+  // Guesses from the header, with whatever the user picked on top
+  const mapping = useMemo(() => {
+    const guessed = guessColumnMapping(hasHeader && rows.length > 0 ? rows[0] : [], dataRows);
+    return { ...guessed, ...mappingOverrides };
+  }, [rows, dataRows, hasHeader, mappingOverrides]);
+
+  const handleMappingChange = (key, value) => {
+    setMappingOverrides(prev => ({ ...prev, [key]: Number(value) }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (mapping.url < 0) return;
+
+    onImport(rowsToBookmarks(dataRows, mapping));
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={handleOverlayClick}>
+      <div className="modal modal-wide">
+        <div className="modal-header">
+          <h2 className="modal-title">Import CSV</h2>
+          <button onClick={onClose} className="close-button">
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            <p className="import-summary">
+              {fileName}: {dataRows.length} {dataRows.length === 1 ? 'row' : 'rows'}, {columnCount} {columnCount === 1 ? 'column' : 'columns'}
+              {isStashExport && ' (Stash export, columns mapped automatically)'}
+            </p>
+
+            <div className="import-options">
+              <label className="form-label">
+                Delimiter
+                <select
+                  value={delimiter}
+                  onChange={(e) => {
+                    setDelimiter(e.target.value);
+                    setMappingOverrides({});
+                  }}
+                  className="form-input"
+                >
+                  {DELIMITERS.map(({ value, label }) => (
+                    <option key={label} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="import-checkbox">
+                <input
+                  type="checkbox"
+                  checked={hasHeader}
+                  onChange={(e) => {
+                    setHasHeader(e.target.checked);
+                    setMappingOverrides({});
+                  }}
+                />
+                First row is a header
+              </label>
+            </div>
+
+            <div className="column-mapping">
+              {IMPORT_FIELDS.map(({ key, label, required }) => (
+                <div key={key} className="column-mapping-row">
+                  <label className="form-label" htmlFor={`mapping-${key}`}>
+                    {label}{required && ' *'}
+                  </label>
+                  <select
+                    id={`mapping-${key}`}
+                    value={mapping[key]}
+                    onChange={(e) => handleMappingChange(key, e.target.value)}
+                    className="form-input"
+                  >
+                    <option value={-1}>Don't import</option>
+                    {header.map((name, index) => (
+                      <option key={index} value={index}>
+                        {name || `Column ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            {dataRows.length > 0 && (
+              <div className="import-preview">
+                <table>
+                  <thead>
+                    <tr>
+                      {header.map((name, index) => (
+                        <th key={index}>{name}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {dataRows.slice(0, PREVIEW_ROWS).map((row, rowIndex) => (
+                      <tr key={rowIndex}>
+                        {header.map((_, index) => (
+                          <td key={index}>{row[index]}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {mapping.url < 0 && (
+              <div style={{ color: '#ff3b30', fontSize: '13px', marginTop: '8px' }}>
+                Choose the column that holds the URL
+              </div>
+            )}
+          </div>
+
+          <div className="form-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="button button-secondary"
+              style={{ flex: 1 }}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="button"
+              disabled={mapping.url < 0 || dataRows.length === 0}
+              style={{ flex: 1 }}
+            >
+              Import
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default CSVImportModal;
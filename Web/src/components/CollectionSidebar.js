@@ -0,0 +1,265 @@
+import React, { useState, useMemo } from 'react';
+import { buildCollectionTree } from '../utils/collections';
+
+// Drag types, so drops from outside the app (links, files) are ignored
+export const BOOKMARK_DRAG_TYPE = 'application/x-stash-bookmark';
+const COLLECTION_DRAG_TYPE = 'application/x-stash-collection';
+
+const hasDragType = (e, type) => Array.from(e.dataTransfer.types).includes(type);
+
+function CollectionNameInput({ initialName = '', onSubmit, onCancel }) {
+  const [name, setName] = useState(initialName);
+
+  const submit = () => {
+    const trimmed = name.trim();
+    if (trimmed && trimmed !== initialName) {
+      onSubmit(trimmed);
+    } else {
+      onCancel();
+    }
+  };
+
+  return (
+    <input
+      type="text"
+      value={name}
+      onChange={(e) => setName(e.target.value)}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          submit();
+        } else if (e.key === 'Escape') {
+          onCancel();
+        }
+      }}
+      onBlur={submit}
+      placeholder="Collection name"
+      className="collection-sidebar-input"
+      autoFocus
+    />
+  );
+}
+
+/**
+ * Collections as a tree. Bookmarks can be dropped on a collection (or on
+ * Unfiled) to move them, and collections on each other to nest them, or on
+ * All to move them back to the top level.
+ */
+function CollectionSidebar({
+  collections,
+  counts,
+  totalCount,
+  selectedCollection,
+  onSelectCollection,
+  onCreateCollection,
+  onRenameCollection,
+  onMoveCollection,
+  onDeleteCollection,
+  onMoveBookmark
+}) {
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  // { type: 'create', parentId } or { type: 'rename', collectionId }
+  const [editing, setEditing] = useState(null);
+  const [dropTarget, setDropTarget] = useState();
+
+  const tree = useMemo(() => buildCollectionTree(collections), [collections]);
+
+  // Bookmarks in each collection including its subcollections
+  const totals = useMemo(() => {
+    const result = new Map();
+    const visit = (node) => {
+      const total = node.children.reduce(
+        (sum, child) => sum + visit(child),
+        counts.get(node.collection.id) || 0
+      );
+      result.set(node.collection.id, total);
+      return total;
+    };
+    tree.forEach(visit);
+    return result;
+  }, [tree, counts]);
+
+  const toggleCollapsed = (collectionId) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(collectionId)) {
+        next.delete(collectionId);
+      } else {
+        next.add(collectionId);
+      }
+      return next;
+    });
+  };
+
+  const startCreate = (parentId) => {
+    if (parentId) {
+      setCollapsed(prev => {
+        const next = new Set(prev);
+        next.delete(parentId);
+        return next;
+      });
+    }
+    setEditing({ type: 'create', parentId });
+  };
+
+  const handleDelete = (node) => {
+    const { collection } = node;
+    const message = node.children.length > 0
+      ? `Delete “${collection.name}” and its subcollections? Their bookmarks stay in your library.`
+      : `Delete “${collection.name}”? Its bookmarks stay in your library.`;
+
+    if (window.confirm(message)) {
+      onDeleteCollection(collection);
+    }
+  };
+
+  // targetId is a collection id, null for All or 'unfiled'
+  const dropProps = (targetId) => ({
+    onDragOver: (e) => {
+      const acceptsBookmark = targetId !== null && hasDragType(e, BOOKMARK_DRAG_TYPE);
+      const acceptsCollection = targetId !== 'unfiled' && hasDragType(e, COLLECTION_DRAG_TYPE);
+      if (!acceptsBookmark && !acceptsCollection) return;
+
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setDropTarget(targetId);
+    },
+    onDragLeave: () => setDropTarget(current => (current === targetId ? undefined : current)),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(undefined);
+
+      const bookmarkId = e.dataTransfer.getData(BOOKMARK_DRAG_TYPE);
+      const collectionId = e.dataTransfer.getData(COLLECTION_DRAG_TYPE);
+
+      if (bookmarkId && targetId !== null) {
+        onMoveBookmark(bookmarkId, targetId === 'unfiled' ? null : targetId);
+      } else if (collectionId && targetId !== 'unfiled' && collectionId !== targetId) {
+        onMoveCollection(collectionId, targetId);
+      }
+    }
+  });
+
+  const itemClass = (id) => [
+    'collection-sidebar-item',
+    selectedCollection === id ? 'selected' : '',
+    dropTarget === id ? 'drop-target' : ''
+  ].filter(Boolean).join(' ');
+
+  const renderNode = (node) => {
+    const { collection, children, depth } = node;
+    const isCollapsed = collapsed.has(collection.id);
+    const isRenaming = editing?.type === 'rename' && editing.collectionId === collection.id;
+    const isCreatingChild = editing?.type === 'create' && editing.parentId === collection.id;
+
+    return (
+      <li key={collection.id}>
+        <div
+          className={itemClass(collection.id)}
+          style={{ paddingLeft: `${8 + depth * 14}px` }}
+          draggable={!isRenaming}
+          onDragStart={(e) => {
+            e.dataTransfer.setData(COLLECTION_DRAG_TYPE, collection.id);
+            e.dataTransfer.effectAllowed = 'move';
+          }}
+          {...dropProps(collection.id)}
+        >
+          <button
+            className="collection-sidebar-toggle"
+            onClick={() => toggleCollapsed(collection.id)}
+            aria-label={isCollapsed ? 'Expand' : 'Collapse'}
+            style={{ visibility: children.length > 0 ? 'visible' : 'hidden' }}
+          >
+            {isCollapsed ? '▸' : '▾'}
+          </button>
+          {isRenaming ? (
+            <CollectionNameInput
+              initialName={collection.name}
+              onSubmit={(name) => {
+                setEditing(null);
+                onRenameCollection(collection, name);
+              }}
+              onCancel={() => setEditing(null)}
+            />
+          ) : (
+            <button
+              className="collection-sidebar-name"
+              onClick={() => onSelectCollection(collection.id)}
+              onDoubleClick={() => setEditing({ type: 'rename', collectionId: collection.id })}
+              title={collection.pendingSync ? 'Waiting to sync' : collection.name}
+            >
+              <span>{collection.name}</span>
+              <span className="tag-sidebar-count">{totals.get(collection.id) || 0}</span>
+            </button>
+          )}
+          <span className="collection-sidebar-actions">
+            <button onClick={() => startCreate(collection.id)} aria-label="New subcollection" title="New subcollection">+</button>
+            <button onClick={() => setEditing({ type: 'rename', collectionId: collection.id })} aria-label="Rename collection" title="Rename">✎</button>
+            <button onClick={() => handleDelete(node)} aria-label="Delete collection" title="Delete">×</button>
+          </span>
+        </div>
+        {!isCollapsed && (children.length > 0 || isCreatingChild) && (
+          <ul className="collection-sidebar-list">
+            {children.map(renderNode)}
+            {isCreatingChild && renderCreateInput(depth + 1)}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  const renderCreateInput = (depth) => (
+    <li key="new-collection">
+      <div className="collection-sidebar-item" style={{ paddingLeft: `${8 + depth * 14}px` }}>
+        <CollectionNameInput
+          onSubmit={(name) => {
+            const { parentId } = editing;
+            setEditing(null);
+            onCreateCollection(name, parentId);
+          }}
+          onCancel={() => setEditing(null)}
+        />
+      </div>
+    </li>
+  );
+
+  return (
+    <nav className="collection-sidebar">
+      <div className="collection-sidebar-header">
+        <span className="tag-sidebar-title">Collections</span>
+        <button
+          className="collection-sidebar-add"
+          onClick={() => startCreate(null)}
+          aria-label="New collection"
+          title="New collection"
+        >
+          +
+        </button>
+      </div>
+      <ul className="collection-sidebar-list">
+        <li>
+          <div className={itemClass(null)} {...dropProps(null)}>
+            <button className="collection-sidebar-name" onClick={() => onSelectCollection(null)}>
+              <span>All Bookmarks</span>
+              <span className="tag-sidebar-count">{totalCount}</span>
+            </button>
+          </div>
+        </li>
+        {collections.length > 0 && (
+          <li>
+            <div className={itemClass('unfiled')} {...dropProps('unfiled')}>
+              <button className="collection-sidebar-name" onClick={() => onSelectCollection('unfiled')}>
+                <span>Unfiled</span>
+                <span className="tag-sidebar-count">{counts.get(null) || 0}</span>
+              </button>
+            </div>
+          </li>
+        )}
+        {tree.map(renderNode)}
+        {editing?.type === 'create' && !editing.parentId && renderCreateInput(0)}
+      </ul>
+    </nav>
+  );
+}
+
+export default CollectionSidebar;
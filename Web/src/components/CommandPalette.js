@@ -0,0 +1,142 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { searchBookmarks } from '../utils/search';
+
+// Bookmark matches shown under the actions
+const MAX_BOOKMARK_RESULTS = 8;
+
+// Every word of the query has to appear in the label
+const matchesAction = (action, words) => {
+  const label = action.label.toLowerCase();
+  return words.every(word => label.includes(word));
+};
+
+const extractDomain = (url) => {
+  try {
+    return new URL(url).hostname.replace('www.', '');
+  } catch {
+    return url;
+  }
+};
+
+/**
+ * Searches actions ({ id, label, shortcut, run }) and bookmarks together.
+ * Arrow keys move, Enter runs the highlighted item, Escape closes.
+ * The palette closes before an action runs, so actions can open dialogs.
+ */
+function CommandPalette({ actions, bookmarks, onOpenBookmark, onClose }) {
+  const [query, setQuery] = useState('');
+  const [highlighted, setHighlighted] = useState(0);
+  const listRef = useRef(null);
+
+  const items = useMemo(() => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const actionItems = actions
+      .filter(action => matchesAction(action, words))
+      .map(action => ({ key: `action-${action.id}`, type: 'action', action }));
+
+    if (words.length === 0) return actionItems;
+
+    const bookmarkItems = searchBookmarks(bookmarks, query)
+      .slice(0, MAX_BOOKMARK_RESULTS)
+      .map(({ bookmark }) => ({ key: `bookmark-${bookmark.id}`, type: 'bookmark', bookmark }));
+
+    return [...actionItems, ...bookmarkItems];
+  }, [actions, bookmarks, query]);
+
+  // A new query starts from the top
+  useEffect(() => {
+    setHighlighted(0);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current?.children[highlighted]?.scrollIntoView({ block: 'nearest' });
+  }, [highlighted]);
+
+  const runItem = (item) => {
+    onClose();
+
+    if (item.type === 'action') {
+      item.action.run();
+    } else {
+      onOpenBookmark(item.bookmark);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        setHighlighted(index => Math.min(index + 1, items.length - 1));
+        break;
+      case 'ArrowUp':
+        setHighlighted(index => Math.max(index - 1, 0));
+        break;
+      case 'Enter':
+        if (items[highlighted]) runItem(items[highlighted]);
+        break;
+      case 'Escape':
+        onClose();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="modal-overlay command-palette-overlay" onClick={handleOverlayClick}>
+      <div className="command-palette" role="dialog" aria-label="Command palette">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search bookmarks and actions"
+          className="command-palette-input"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="command-palette-list"
+          aria-activedescendant={items[highlighted] ? `command-palette-${items[highlighted].key}` : undefined}
+          autoFocus
+        />
+
+        {items.length === 0 ? (
+          <p className="command-palette-empty">No matches</p>
+        ) : (
+          <ul className="command-palette-list" id="command-palette-list" role="listbox" ref={listRef}>
+            {items.map((item, index) => (
+              <li
+                key={item.key}
+                id={`command-palette-${item.key}`}
+                role="option"
+                aria-selected={index === highlighted}
+                className={`command-palette-item ${index === highlighted ? 'highlighted' : ''}`}
+                onMouseMove={() => setHighlighted(index)}
+                onClick={() => runItem(item)}
+              >
+                {item.type === 'action' ? (
+                  <>
+                    <span className="command-palette-label">{item.action.label}</span>
+                    {item.action.shortcut && <kbd>{item.action.shortcut}</kbd>}
+                  </>
+                ) : (
+                  <>
+                    <span className="command-palette-label">{item.bookmark.title || extractDomain(item.bookmark.url)}</span>
+                    <span className="command-palette-detail">{extractDomain(item.bookmark.url)}</span>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CommandPalette;
@@ -0,0 +1,116 @@
+import React, { useState, useMemo } from 'react';
+import { findDuplicateGroups } from '../utils/duplicates';
+
+function DuplicatesModal({ bookmarks, onMerge, onClose }) {
+  const groups = useMemo(() => findDuplicateGroups(bookmarks), [bookmarks]);
+  // Key of the group being merged, or 'all'
+  const [merging, setMerging] = useState(null);
+  const [error, setError] = useState(null);
+
+  const mergeGroups = async (groupsToMerge, key) => {
+    setMerging(key);
+    setError(null);
+
+    try {
+      for (const group of groupsToMerge) {
+        await onMerge(group.bookmarks);
+      }
+    } catch (mergeError) {
+      console.error('Failed to merge duplicates:', mergeError);
+      setError('Some duplicates could not be merged. Please try again.');
+    } finally {
+      setMerging(null);
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget && !merging) {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={handleOverlayClick}>
+      <div className="modal modal-wide">
+        <div className="modal-header">
+          <h2 className="modal-title">Duplicates</h2>
+          <button onClick={onClose} className="close-button" disabled={Boolean(merging)}>
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {error && (
+            <div style={{ color: '#ff3b30', fontSize: '13px', marginBottom: '16px' }}>
+              {error}
+            </div>
+          )}
+
+          {groups.length === 0 ? (
+            <p className="import-summary">No duplicates found.</p>
+          ) : (
+            <>
+              <p className="import-summary">
+                {groups.length} {groups.length === 1 ? 'page is' : 'pages are'} saved more than once.
+                Merging keeps the oldest bookmark and combines titles, notes and tags into it.
+              </p>
+
+              {groups.map(group => (
+                <section key={group.key} className="duplicate-group">
+                  <ul className="import-plan-list">
+                    {group.bookmarks.map((bookmark, index) => (
+                      <li key={bookmark.id} className="import-plan-row">
+                        <div className="import-plan-text">
+                          <div className="import-plan-title">
+                            {bookmark.title || bookmark.url}
+                          </div>
+                          <div className="import-plan-url">{bookmark.url}</div>
+                          <div className="import-plan-reason">
+                            Saved {new Date(bookmark.createdAt).toLocaleDateString()}
+                            {index === 0 && ' (kept)'}
+                          </div>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                  <button
+                    onClick={() => mergeGroups([group], group.key)}
+                    className="button button-secondary duplicate-merge-button"
+                    disabled={Boolean(merging)}
+                  >
+                    {merging === group.key ? 'Merging...' : `Merge ${group.bookmarks.length}`}
+                  </button>
+                </section>
+              ))}
+            </>
+          )}
+        </div>
+
+        <div className="form-actions">
+          <button
+            type="button"
+            onClick={onClose}
+            className="button button-secondary"
+            disabled={Boolean(merging)}
+            style={{ flex: 1 }}
+          >
+            Close
+          </button>
+          {groups.length > 1 && (
+            <button
+              type="button"
+              onClick={() => mergeGroups(groups, 'all')}
+              className="button"
+              disabled={Boolean(merging)}
+              style={{ flex: 1 }}
+            >
+              {merging === 'all' ? 'Merging...' : 'Merge All'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DuplicatesModal;
@@ -0,0 +1,20 @@
+import React from 'react';
+import { splitHighlights } from '../utils/search';
+
+function Highlight({ text, terms }) {
+  if (!terms || terms.length === 0) {
+    return <>{text}</>;
+  }
+
+  return (
+    <>
+      {splitHighlights(text, terms).map((part, index) => (
+        part.highlighted
+          ? <mark key={index} className="search-highlight">{part.text}</mark>
+          : <React.Fragment key={index}>{part.text}</React.Fragment>
+      ))}
+    </>
+  );
+}
+
+export default Highlight;
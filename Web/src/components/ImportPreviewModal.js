@@ -0,0 +1,320 @@
+import React, { useState, useRef } from 'react';
+import { IMPORT_STRATEGIES, DEFAULT_STRATEGY, buildImportTasks } from '../utils/importPlan';
+
+// Rows listed per section, the counts still cover everything
+const MAX_ROWS = 100;
+
+const TITLES = {
+  preview: 'Import Preview',
+  importing: 'Importing',
+  paused: 'Import Paused',
+  done: 'Import Complete'
+};
+
+const SECTIONS = [
+  { key: 'new', label: 'New', description: 'Will be added' },
+  { key: 'changed', label: 'Changed', description: 'Already saved, the imported copy differs' },
+  { key: 'duplicate', label: 'Duplicates', description: 'Already saved, will be skipped' },
+  { key: 'invalid', label: 'Invalid', description: 'Can\'t be imported' }
+];
+
+function ImportPreviewModal({ fileName, plan, onRunImport, onClose }) {
+  const [strategies, setStrategies] = useState(() => (
+    Object.fromEntries(plan.changed.map(entry => [entry.index, DEFAULT_STRATEGY]))
+  ));
+  // preview -> importing -> paused (cancelled or failed batch) or done
+  const [phase, setPhase] = useState('preview');
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [counts, setCounts] = useState({ added: 0, updated: 0, skipped: 0 });
+  const [failures, setFailures] = useState([]);
+  const [remaining, setRemaining] = useState([]);
+  const [stopReason, setStopReason] = useState(null);
+  const abortController = useRef(null);
+
+  const writeCount = plan.new.length +
+    plan.changed.filter(entry => strategies[entry.index] !== 'keepLocal').length;
+
+  const setAllStrategies = (strategy) => {
+    setStrategies(Object.fromEntries(plan.changed.map(entry => [entry.index, strategy])));
+  };
+
+  // Only reflect "apply to all" when every row agrees
+  const strategyValues = Object.values(strategies);
+  const sharedStrategy = strategyValues.every(value => value === strategyValues[0])
+    ? strategyValues[0]
+    : '';
+
+  // Progress counts from `offset` so a resumed run continues the same bar
+  const run = async (tasks, offset, total) => {
+    abortController.current = new AbortController();
+    setPhase('importing');
+    setStopReason(null);
+    setProgress({ done: offset, total });
+
+    const result = await onRunImport(tasks, {
+      signal: abortController.current.signal,
+      onProgress: (processed) => setProgress({ done: offset + processed, total })
+    });
+    abortController.current = null;
+
+    const failed = new Set(result.failures.map(({ item }) => item));
+    const succeeded = tasks.slice(0, result.processed).filter(task => !failed.has(task));
+
+    setCounts(prev => ({
+      ...prev,
+      added: prev.added + succeeded.filter(task => task.type === 'add').length,
+      updated: prev.updated + succeeded.filter(task => task.type === 'update').length
+    }));
+    setFailures(prev => [
+      ...prev,
+      ...result.failures.map(({ item, error }) => ({ task: item, reason: error?.message || 'Unknown error' }))
+    ]);
+    setRemaining(result.remaining);
+
+    if (result.remaining.length > 0) {
+      setStopReason(result.cancelled
+        ? 'Import cancelled.'
+        : `Import stopped: ${result.error?.message || 'the server could not be reached'}.`);
+      setPhase('paused');
+    } else {
+      setPhase('done');
+    }
+  };
+
+  const handleApply = () => {
+    const tasks = buildImportTasks(plan, strategies);
+
+    setCounts({
+      added: 0,
+      updated: 0,
+      skipped: plan.duplicate.length + plan.changed.length - (tasks.length - plan.new.length)
+    });
+    run(tasks, 0, tasks.length);
+  };
+
+  const handleResume = () => {
+    run(remaining, progress.done, progress.total);
+  };
+
+  const handleRetryFailed = () => {
+    const tasks = failures.map(({ task }) => task);
+
+    setFailures([]);
+    run(tasks, 0, tasks.length);
+  };
+
+  const handleCancel = () => {
+    if (abortController.current) {
+      abortController.current.abort();
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget && phase !== 'importing') {
+      onClose();
+    }
+  };
+
+  const renderEntry = (section, entry) => (
+    <li key={entry.index} className="import-plan-row">
+      <div className="import-plan-text">
+        <div className="import-plan-title">
+          {entry.imported.title || entry.imported.url || '(no URL)'}
+        </div>
+        {entry.imported.url && (
+          <div className="import-plan-url">{entry.imported.url}</div>
+        )}
+        {section === 'changed' && (
+          <div className="import-plan-reason">Differs in {entry.changes.join(', ')}</div>
+        )}
+        {entry.reason && <div className="import-plan-reason">{entry.reason}</div>}
+      </div>
+      {section === 'changed' && (
+        <select
+          value={strategies[entry.index]}
+          onChange={(e) => setStrategies(prev => ({ ...prev, [entry.index]: e.target.value }))}
+          className="form-input import-plan-strategy"
+        >
+          {IMPORT_STRATEGIES.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      )}
+    </li>
+  );
+
+  const renderPreview = () => (
+    <>
+      {plan.changed.length > 1 && (
+        <div className="import-options">
+          <label className="form-label">
+            For all changed bookmarks
+            <select
+              value={sharedStrategy}
+              onChange={(e) => setAllStrategies(e.target.value)}
+              className="form-input"
+            >
+              {!sharedStrategy && <option value="">Mixed</option>}
+              {IMPORT_STRATEGIES.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {SECTIONS.filter(({ key }) => plan[key].length > 0).map(({ key, label, description }) => (
+        <section key={key} className="import-plan-section">
+          <h3 className="import-plan-heading">
+            {label} <span className="import-plan-count">{plan[key].length}</span>
+          </h3>
+          <p className="import-plan-description">{description}</p>
+          <ul className="import-plan-list">
+            {plan[key].slice(0, MAX_ROWS).map(entry => renderEntry(key, entry))}
+          </ul>
+          {plan[key].length > MAX_ROWS && (
+            <p className="import-plan-description">
+              and {plan[key].length - MAX_ROWS} more
+            </p>
+          )}
+        </section>
+      ))}
+    </>
+  );
+
+  const renderProgress = () => {
+    const percent = progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0;
+
+    return (
+      <div className="import-result">
+        <div className="import-progress">
+          <div className="import-progress-bar" style={{ width: `${percent}%` }} />
+        </div>
+        <p className="import-plan-description">
+          {progress.done} of {progress.total} processed
+        </p>
+
+        {phase !== 'importing' && (
+          <p>
+            {counts.added} added, {counts.updated} updated, {counts.skipped} skipped,
+            {' '}{plan.invalid.length} invalid{failures.length > 0 && `, ${failures.length} failed`}.
+          </p>
+        )}
+
+        {stopReason && (
+          <p style={{ color: '#ff3b30' }}>
+            {stopReason} {remaining.length} {remaining.length === 1 ? 'bookmark was' : 'bookmarks were'} not imported yet.
+          </p>
+        )}
+
+        {phase !== 'importing' && failures.length > 0 && (
+          <section className="import-plan-section">
+            <h3 className="import-plan-heading">
+              Failed <span className="import-plan-count">{failures.length}</span>
+            </h3>
+            <ul className="import-plan-list">
+              {failures.slice(0, MAX_ROWS).map(({ task, reason }) => (
+                <li key={task.entry.index} className="import-plan-row">
+                  <div className="import-plan-text">
+                    <div className="import-plan-title">
+                      Row {task.entry.index + 1}: {task.bookmark.title || task.bookmark.url}
+                    </div>
+                    <div className="import-plan-url">{task.bookmark.url}</div>
+                    <div className="import-plan-reason">{reason}</div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            {failures.length > MAX_ROWS && (
+              <p className="import-plan-description">
+                and {failures.length - MAX_ROWS} more
+              </p>
+            )}
+          </section>
+        )}
+      </div>
+    );
+  };
+
+  const renderActions = () => {
+    switch (phase) {
+      case 'importing':
+        return (
+          <button type="button" onClick={handleCancel} className="button button-secondary" style={{ flex: 1 }}>
+            Cancel Import
+          </button>
+        );
+
+      case 'paused':
+        return (
+          <>
+            <button type="button" onClick={onClose} className="button button-secondary" style={{ flex: 1 }}>
+              Close
+            </button>
+            <button type="button" onClick={handleResume} className="button" style={{ flex: 1 }}>
+              Resume
+            </button>
+          </>
+        );
+
+      case 'done':
+        return (
+          <>
+            {failures.length > 0 && (
+              <button type="button" onClick={handleRetryFailed} className="button button-secondary" style={{ flex: 1 }}>
+                Retry Failed
+              </button>
+            )}
+            <button type="button" onClick={onClose} className="button" style={{ flex: 1 }}>
+              Done
+            </button>
+          </>
+        );
+
+      default:
+        return (
+          <>
+            <button type="button" onClick={onClose} className="button button-secondary" style={{ flex: 1 }}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleApply}
+              className="button"
+              disabled={writeCount === 0}
+              style={{ flex: 1 }}
+            >
+              Import {writeCount} {writeCount === 1 ? 'bookmark' : 'bookmarks'}
+            </button>
+          </>
+        );
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={handleOverlayClick}>
+      <div className="modal modal-wide">
+        <div className="modal-header">
+          <h2 className="modal-title">{TITLES[phase]}</h2>
+          <button onClick={onClose} className="close-button" disabled={phase === 'importing'}>
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="import-summary">
+            {fileName}: {SECTIONS.map(({ key, label }) => `${plan[key].length} ${label.toLowerCase()}`).join(', ')}
+          </p>
+
+          {phase === 'preview' ? renderPreview() : renderProgress()}
+        </div>
+
+        <div className="form-actions">
+          {renderActions()}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportPreviewModal;
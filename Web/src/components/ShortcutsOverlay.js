@@ -0,0 +1,51 @@
+import React, { useEffect } from 'react';
+import { SHORTCUTS } from '../utils/shortcuts';
+
+function ShortcutsOverlay({ onClose }) {
+  // Escape or ? again closes it
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' || e.key === '?') {
+        e.preventDefault();
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={handleOverlayClick}>
+      <div className="modal" role="dialog" aria-label="Keyboard shortcuts">
+        <div className="modal-header">
+          <h2 className="modal-title">Keyboard Shortcuts</h2>
+          <button onClick={onClose} className="close-button">
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <dl className="shortcut-list">
+            {SHORTCUTS.map(({ keys, description }) => (
+              <div key={description} className="shortcut-row">
+                <dt>
+                  {keys.map(key => <kbd key={key}>{key}</kbd>)}
+                </dt>
+                <dd>{description}</dd>
+              </div>
+            ))}
+          </dl>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShortcutsOverlay;
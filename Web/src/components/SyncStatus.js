@@ -13,6 +13,11 @@ function SyncStatus({ status }) {
           text: 'Synced',
           className: 'success'
         };
+      case 'offline':
+        return {
+          text: 'Offline',
+          className: 'offline'
+        };
       case 'error':
         return {
           text: 'Sync Error',
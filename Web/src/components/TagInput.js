@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { normalizeTags } from '../utils/tags';
+
+function TagInput({ tags, onChange, suggestions = [] }) {
+  const [input, setInput] = useState('');
+  const [highlightedIndex, setHighlightedIndex] = useState(0);
+
+  const query = input.trim().toLowerCase();
+  const currentKeys = tags.map(tag => tag.toLowerCase());
+
+  const matches = query
+    ? suggestions
+        .filter(tag => !currentKeys.includes(tag.toLowerCase()))
+        .filter(tag => tag.toLowerCase().includes(query))
+        .sort((a, b) =>
+          Number(!b.toLowerCase().startsWith(query)) - Number(!a.toLowerCase().startsWith(query))
+        )
+        .slice(0, 6)
+    : [];
+
+  const addTag = (tag) => {
+    onChange(normalizeTags([...tags, tag]));
+    setInput('');
+    setHighlightedIndex(0);
+  };
+
+  const removeTag = (tag) => {
+    onChange(tags.filter(t => t !== tag));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && matches.length > 0) {
+      e.preventDefault();
+      setHighlightedIndex((highlightedIndex + 1) % matches.length);
+    } else if (e.key === 'ArrowUp' && matches.length > 0) {
+      e.preventDefault();
+      setHighlightedIndex((highlightedIndex - 1 + matches.length) % matches.length);
+    } else if (e.key === 'Enter' || e.key === ',' || e.key === 'Tab') {
+      if (!input.trim()) return;
+
+      // Don't submit the form or leave the field while completing a tag
+      e.preventDefault();
+      addTag(matches[highlightedIndex] || input);
+    } else if (e.key === 'Backspace' && !input && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    }
+  };
+
+  const handleChange = (e) => {
+    // Pasted "a, b, c" lists become separate tags
+    const value = e.target.value;
+    if (value.includes(',')) {
+      const parts = value.split(',');
+      onChange(normalizeTags([...tags, ...parts.slice(0, -1)]));
+      setInput(parts[parts.length - 1]);
+    } else {
+      setInput(value);
+    }
+    setHighlightedIndex(0);
+  };
+
+  return (
+    <div className="tag-input-container">
+      <div className="form-input tag-input">
+        {tags.map(tag => (
+          <span key={tag} className="tag-chip">
+            {tag}
+            <button
+              type="button"
+              className="tag-chip-remove"
+              onClick={() => removeTag(tag)}
+              aria-label={`Remove tag ${tag}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={input}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onBlur={() => input.trim() && addTag(input)}
+          placeholder={tags.length === 0 ? 'Optional' : ''}
+          className="tag-input-field"
+        />
+      </div>
+      {matches.length > 0 && (
+        <ul className="tag-suggestions">
+          {matches.map((tag, index) => (
+            <li
+              key={tag}
+              className={`tag-suggestion ${index === highlightedIndex ? 'highlighted' : ''}`}
+              // mousedown fires before the input blurs and commits the partial text
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(tag);
+              }}
+            >
+              {tag}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TagInput;
@@ -0,0 +1,37 @@
+import React from 'react';
+
+function TagSidebar({ tags, selectedTag, onSelectTag, totalCount }) {
+  if (tags.length === 0) {
+    return null;
+  }
+
+  return (
+    <aside className="tag-sidebar">
+      <div className="tag-sidebar-title">Tags</div>
+      <ul className="tag-sidebar-list">
+        <li>
+          <button
+            className={`tag-sidebar-item ${!selectedTag ? 'selected' : ''}`}
+            onClick={() => onSelectTag(null)}
+          >
+            <span>All</span>
+            <span className="tag-sidebar-count">{totalCount}</span>
+          </button>
+        </li>
+        {tags.map(({ name, count }) => (
+          <li key={name}>
+            <button
+              className={`tag-sidebar-item ${selectedTag?.toLowerCase() === name.toLowerCase() ? 'selected' : ''}`}
+              onClick={() => onSelectTag(name)}
+            >
+              <span>#{name}</span>
+              <span className="tag-sidebar-count">{count}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+export default TagSidebar;
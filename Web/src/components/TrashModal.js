@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { TRASH_RETENTION_OPTIONS, getDaysUntilPurge } from '../utils/trash';
+
+// Rows listed, the counts and "all" actions still cover everything
+const MAX_ROWS = 200;
+
+// bookmarks is null while the trash is loading
+function TrashModal({ bookmarks, error, retentionDays, onRetentionChange, onRestore, onPurge, onClose }) {
+  // Id of the bookmark being restored or purged, 'restoreAll' or 'purgeAll'
+  const [working, setWorking] = useState(null);
+
+  const run = async (action, items, key) => {
+    setWorking(key);
+    try {
+      await action(items);
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handlePurge = (items, key) => {
+    const message = items.length === 1
+      ? 'Delete this bookmark permanently? This can\'t be undone.'
+      : `Delete ${items.length} bookmarks permanently? This can't be undone.`;
+
+    if (window.confirm(message)) {
+      run(onPurge, items, key);
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget && !working) {
+      onClose();
+    }
+  };
+
+  const describePurge = (bookmark) => {
+    const days = getDaysUntilPurge(bookmark, retentionDays);
+    if (days === null) return '';
+    if (days === 0) return ', deleted permanently today';
+    return `, deleted permanently in ${days} ${days === 1 ? 'day' : 'days'}`;
+  };
+
+  const isEmpty = bookmarks && bookmarks.length === 0;
+
+  return (
+    <div className="modal-overlay" onClick={handleOverlayClick}>
+      <div className="modal modal-wide">
+        <div className="modal-header">
+          <h2 className="modal-title">Trash</h2>
+          <button onClick={onClose} className="close-button" disabled={Boolean(working)}>
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <label className="trash-retention">
+            Delete permanently after
+            <select
+              value={retentionDays}
+              onChange={(e) => onRetentionChange(Number(e.target.value))}
+              className="form-input"
+            >
+              {TRASH_RETENTION_OPTIONS.map(({ days, label }) => (
+                <option key={days} value={days}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          {error && (
+            <div style={{ color: '#ff3b30', fontSize: '13px', marginBottom: '16px' }}>
+              {error}
+            </div>
+          )}
+
+          {!bookmarks ? (
+            <p className="import-summary">Loading...</p>
+          ) : isEmpty ? (
+            !error && <p className="import-summary">The trash is empty.</p>
+          ) : (
+            <>
+              <p className="import-summary">
+                {bookmarks.length} deleted {bookmarks.length === 1 ? 'bookmark' : 'bookmarks'}.
+                Restoring puts a bookmark back where it was.
+              </p>
+
+              <ul className="import-plan-list">
+                {bookmarks.slice(0, MAX_ROWS).map(bookmark => (
+                  <li key={bookmark.id} className="import-plan-row">
+                    <div className="import-plan-text">
+                      <div className="import-plan-title">{bookmark.title || bookmark.url}</div>
+                      <div className="import-plan-url">{bookmark.url}</div>
+                      {bookmark.deletedAt && (
+                        <div className="import-plan-reason">
+                          Deleted {new Date(bookmark.deletedAt).toLocaleDateString()}
+                          {describePurge(bookmark)}
+                        </div>
+                      )}
+                    </div>
+                    <div className="trash-row-actions">
+                      <button
+                        onClick={() => run(onRestore, [bookmark], bookmark.id)}
+                        className="button button-secondary"
+                        disabled={Boolean(working)}
+                      >
+                        {working === bookmark.id ? 'Restoring...' : 'Restore'}
+                      </button>
+                      <button
+                        onClick={() => handlePurge([bookmark], bookmark.id)}
+                        className="trash-purge-button"
+                        disabled={Boolean(working)}
+                        aria-label="Delete permanently"
+                        title="Delete permanently"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              {bookmarks.length > MAX_ROWS && (
+                <p className="import-plan-description">and {bookmarks.length - MAX_ROWS} more</p>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="form-actions">
+          <button
+            type="button"
+            onClick={() => run(onRestore, bookmarks, 'restoreAll')}
+            className="button button-secondary"
+            disabled={Boolean(working) || !bookmarks || isEmpty}
+            style={{ flex: 1 }}
+          >
+            {working === 'restoreAll' ? 'Restoring...' : 'Restore All'}
+          </button>
+          <button
+            type="button"
+            onClick={() => handlePurge(bookmarks, 'purgeAll')}
+            className="button button-danger"
+            disabled={Boolean(working) || !bookmarks || isEmpty}
+            style={{ flex: 1 }}
+          >
+            {working === 'purgeAll' ? 'Deleting...' : 'Empty Trash'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TrashModal;
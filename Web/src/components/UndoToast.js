@@ -0,0 +1,29 @@
+import React, { useEffect, useRef } from 'react';
+
+// How long the undo stays on offer
+const UNDO_DURATION = 6000;
+
+// Give it a new key per toast, the timer starts when it mounts
+function UndoToast({ message, onUndo, onDismiss }) {
+  const dismiss = useRef(onDismiss);
+  dismiss.current = onDismiss;
+
+  useEffect(() => {
+    const timer = setTimeout(() => dismiss.current(), UNDO_DURATION);
+    return () => clearTimeout(timer);
+  }, []);
+
+  return (
+    <div className="undo-toast" role="status" aria-live="polite">
+      <span className="undo-toast-message">{message}</span>
+      <button className="undo-toast-undo" onClick={onUndo}>
+        Undo
+      </button>
+      <button className="undo-toast-close" onClick={onDismiss} aria-label="Dismiss">
+        ×
+      </button>
+    </div>
+  );
+}
+
+export default UndoToast;
@@ -1,183 +1,353 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
-
-function VirtualBookmarkList({ bookmarks, onDelete, searchTerm, onBookmarkClick }) {
-  const [visibleRange, setVisibleRange] = useState({ start: 0, end: 20 });
-  const [containerHeight, setContainerHeight] = useState(600);
-  const [scrollTop, setScrollTop] = useState(0);
-  
-  const ITEM_HEIGHT = 120; // Approximate height of each bookmark item
-  const BUFFER_SIZE = 5; // Extra items to render outside visible area
-  
-  // Calculate visible items based on scroll position
-  const visibleItems = useMemo(() => {
-    const startIndex = Math.max(0, Math.floor(scrollTop / ITEM_HEIGHT) - BUFFER_SIZE);
-    const endIndex = Math.min(
-      bookmarks.length,
-      Math.ceil((scrollTop + containerHeight) / ITEM_HEIGHT) + BUFFER_SIZE
-    );
-    
-    return {
-      startIndex,
-      endIndex,
-      items: bookmarks.slice(startIndex, endIndex)
-    };
-  }, [bookmarks, scrollTop, containerHeight]);
-  
-  // Handle scroll events
-  const handleScroll = useCallback((e) => {
-    setScrollTop(e.target.scrollTop);
+import React, { useState, useEffect, useLayoutEffect, useMemo, useRef, useCallback } from 'react';
+import { flushSync } from 'react-dom';
+
+// Extra pixels rendered above and below the viewport
+const OVERSCAN = 600;
+
+// Row heights until the first rows are measured
+const ESTIMATED_ROW_HEIGHT = { list: 72, grid: 180 };
+
+// Must match .bookmarks-grid and .virtual-grid-row in index.css
+const GRID_MIN_CARD_WIDTH = 280;
+const GRID_GAP = 16;
+
+const SCROLL_STORAGE_KEY = 'stash.scrollPositions';
+
+// Searches make a view each, only keep the recent ones
+const MAX_SAVED_POSITIONS = 50;
+
+// Where each view was left, as { id, offset }: the first bookmark in view and
+// how far the page was scrolled past its top. Kept for the browser session.
+const savedPositions = new Map(Object.entries((() => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SCROLL_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+})()));
+
+const savePosition = (scrollKey, position) => {
+  savedPositions.delete(scrollKey);
+  savedPositions.set(scrollKey, position);
+
+  if (savedPositions.size > MAX_SAVED_POSITIONS) {
+    savedPositions.delete(savedPositions.keys().next().value);
+  }
+};
+
+const persistPositions = () => {
+  try {
+    sessionStorage.setItem(SCROLL_STORAGE_KEY, JSON.stringify(Object.fromEntries(savedPositions)));
+  } catch {
+    // Storage full or disabled, positions still last until the page goes
+  }
+};
+
+// The same rule as grid-template-columns: repeat(auto-fill, minmax(280px, 1fr))
+const getGridColumns = (width) => (
+  Math.max(1, Math.floor((width - GRID_GAP) / (GRID_MIN_CARD_WIDTH + GRID_GAP)))
+);
+
+// The last row starting at or before y
+const findRow = (offsets, y) => {
+  let low = 0;
+  let high = offsets.length - 2;
+
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (offsets[mid] <= y) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return low;
+};
+
+// Measures itself for as long as it's rendered, once there's an observer
+function VirtualRow({ rowKey, observer, children, ...props }) {
+  const ref = useRef(null);
+
+  useLayoutEffect(() => {
+    if (!observer) return;
+
+    const element = ref.current;
+    observer.observe(element);
+    return () => observer.unobserve(element);
+  }, [observer]);
+
+  return (
+    <div ref={ref} data-row-key={rowKey} {...props}>
+      {children}
+    </div>
+  );
+}
+
+/**
+ * Renders only the bookmarks near the viewport, in list or grid view. The
+ * page itself scrolls; rows are absolutely positioned inside an element as
+ * tall as the whole list. Rows are measured as they render and the rest are
+ * estimated. When a row above the viewport turns out taller or shorter than
+ * estimated, the scroll position moves with it so the content in view stays put.
+ *
+ * renderBookmark returns the row (list) or card (grid) for one bookmark. The
+ * row with activeId and the one holding keyboard focus stay rendered when
+ * they're scrolled away. scrollKey names the current view, and each view's
+ * scroll position is restored when it comes back.
+ */
+function VirtualBookmarkList({ bookmarks, viewMode = 'list', renderBookmark, activeId, scrollKey }) {
+  const listRef = useRef(null);
+  const viewportRef = useRef(null);
+  const anchorIndex = useRef(0);
+  const restoredKey = useRef(null);
+  // heights is a cache by row key, the object is replaced when it changes
+  const [measured, setMeasured] = useState(() => ({ heights: new Map() }));
+  const [width, setWidth] = useState(0);
+  const [range, setRange] = useState({ start: 0, end: 0 });
+  const [focusedId, setFocusedId] = useState(null);
+
+  const isGrid = viewMode === 'grid';
+  const columns = isGrid ? getGridColumns(width) : 1;
+
+  // A grid row holds a card per column, so its key changes with the column count
+  const rows = useMemo(() => {
+    if (!isGrid) {
+      return bookmarks.map(bookmark => ({ key: bookmark.id, bookmarks: [bookmark] }));
+    }
+
+    const gridRows = [];
+    for (let i = 0; i < bookmarks.length; i += columns) {
+      const rowBookmarks = bookmarks.slice(i, i + columns);
+      gridRows.push({ key: `${columns}:${rowBookmarks[0].id}`, bookmarks: rowBookmarks });
+    }
+    return gridRows;
+  }, [bookmarks, isGrid, columns]);
+
+  const rowIndexByBookmark = useMemo(() => {
+    const index = new Map();
+    rows.forEach((row, rowIndex) => row.bookmarks.forEach(bookmark => index.set(bookmark.id, rowIndex)));
+    return index;
+  }, [rows]);
+
+  const rowIndexByKey = useMemo(() => new Map(rows.map((row, index) => [row.key, index])), [rows]);
+
+  // offsets[i] is the top of row i and offsets[rows.length] the total height.
+  // Rows not measured yet count as the average of those that are.
+  const offsets = useMemo(() => {
+    let measuredTotal = 0;
+    let measuredCount = 0;
+
+    rows.forEach(row => {
+      const height = measured.heights.get(row.key);
+      if (height !== undefined) {
+        measuredTotal += height;
+        measuredCount++;
+      }
+    });
+
+    const estimate = measuredCount > 0 ? measuredTotal / measuredCount : ESTIMATED_ROW_HEIGHT[viewMode];
+    const result = new Float64Array(rows.length + 1);
+
+    rows.forEach((row, index) => {
+      result[index + 1] = result[index] + (measured.heights.get(row.key) ?? estimate);
+    });
+
+    return result;
+  }, [rows, viewMode, measured]);
+
+  // For the observers and the scroll handler, which outlive a render
+  const latest = useRef(null);
+  latest.current = { rows, offsets, rowIndexByKey, measured, scrollKey };
+
+  // The rows in and near the viewport. Also remembers where this view is scrolled to.
+  const updateRange = useCallback(() => {
+    const list = listRef.current;
+    const { rows: currentRows, offsets: currentOffsets, scrollKey: currentKey } = latest.current;
+    if (!list || currentRows.length === 0) return;
+
+    const top = -list.getBoundingClientRect().top;
+    const start = findRow(currentOffsets, top - OVERSCAN);
+    const end = findRow(currentOffsets, top + window.innerHeight + OVERSCAN) + 1;
+
+    anchorIndex.current = findRow(currentOffsets, Math.max(0, top));
+    setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
+
+    if (currentKey !== undefined) {
+      savePosition(currentKey, {
+        id: currentRows[anchorIndex.current].bookmarks[0].id,
+        offset: Math.round(top - currentOffsets[anchorIndex.current])
+      });
+    }
   }, []);
-  
-  // Handle container resize
+
+  // At most one update per frame, however often scroll fires
   useEffect(() => {
-    const handleResize = () => {
-      const container = document.getElementById('bookmark-container');
-      if (container) {
-        setContainerHeight(container.clientHeight);
+    let frame = null;
+
+    const handleScroll = () => {
+      if (frame === null) {
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          updateRange();
+        });
       }
     };
-    
-    handleResize();
-    window.addEventListener('resize', handleResize);
-    return () => window.removeEventListener('resize', handleResize);
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('pagehide', persistPositions);
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('pagehide', persistPositions);
+      if (frame !== null) cancelAnimationFrame(frame);
+      persistPositions();
+    };
+  }, [updateRange]);
+
+  // The list's width sets the grid's columns. The viewport element is fixed
+  // and as big as the window, so it reports the window resizing.
+  useEffect(() => {
+    const observer = new ResizeObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.target === listRef.current) {
+          setWidth(entry.contentRect.width);
+        }
+      });
+      updateRange();
+    });
+
+    observer.observe(listRef.current);
+    observer.observe(viewportRef.current);
+    return () => observer.disconnect();
+  }, [updateRange]);
+
+  // Rows report their height when they render and whenever it changes
+  const [rowObserver, setRowObserver] = useState(null);
+
+  useEffect(() => {
+    const observer = new ResizeObserver(entries => {
+      const { rowIndexByKey: indexByKey, offsets: currentOffsets, measured: { heights } } = latest.current;
+      let changed = false;
+      let shift = 0;
+
+      entries.forEach(entry => {
+        const key = entry.target.dataset.rowKey;
+        const index = indexByKey.get(key);
+        const height = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+        // What the row was laid out with, measured or estimated
+        const previous = index === undefined ? height : currentOffsets[index + 1] - currentOffsets[index];
+
+        if (index === undefined || height === heights.get(key)) return;
+
+        // Rows above the one at the top of the viewport push it down or pull it up
+        if (index < anchorIndex.current) {
+          shift += height - previous;
+        }
+
+        heights.set(key, height);
+        changed = true;
+      });
+
+      if (changed) {
+        flushSync(() => setMeasured(({ heights: sameHeights }) => ({ heights: sameHeights })));
+        if (shift !== 0) window.scrollBy(0, shift);
+      }
+    });
+
+    setRowObserver(observer);
+    return () => observer.disconnect();
   }, []);
-  
-  const formatDate = (date) => {
-    const now = new Date();
-    const bookmarkDate = new Date(date);
-    const diffTime = Math.abs(now - bookmarkDate);
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-
-    if (diffDays === 1) return 'Today';
-    if (diffDays === 2) return 'Yesterday';
-    if (diffDays <= 7) return `${diffDays - 1} days ago`;
-    
-    return bookmarkDate.toLocaleDateString();
-  };
 
-  const getFaviconLetter = (url) => {
-    try {
-      const domain = new URL(url).hostname;
-      return domain.charAt(0).toUpperCase();
-    } catch {
-      return url.charAt(0).toUpperCase();
+  // New rows or heights move everything below them
+  useLayoutEffect(() => {
+    updateRange();
+  }, [offsets, updateRange]);
+
+  // Go back to where this view was left, once it has rows to show
+  useLayoutEffect(() => {
+    if (rows.length === 0 || restoredKey.current === scrollKey) return;
+    restoredKey.current = scrollKey;
+
+    const saved = savedPositions.get(scrollKey);
+    const rowIndex = saved ? rowIndexByBookmark.get(saved.id) : undefined;
+    const listTop = listRef.current.getBoundingClientRect().top + window.scrollY;
+
+    if (rowIndex !== undefined) {
+      window.scrollTo(0, listTop + offsets[rowIndex] + saved.offset);
+    } else if (window.scrollY > listTop) {
+      // A view we haven't been to starts at the top
+      window.scrollTo(0, 0);
     }
+
+    updateRange();
+  }, [scrollKey, rows, rowIndexByBookmark, offsets, updateRange]);
+
+  const getRowBookmarkId = (element) => {
+    const row = element?.closest('[data-row-key]');
+    const rowIndex = row ? rowIndexByKey.get(row.dataset.rowKey) : undefined;
+    return rowIndex !== undefined ? rows[rowIndex].bookmarks[0].id : null;
   };
 
-  const handleCardClick = (url) => {
-    window.open(url, '_blank', 'noopener,noreferrer');
-    if (onBookmarkClick) {
-      onBookmarkClick(url);
-    }
+  // Focus inside a row keeps that row rendered while it's scrolled away
+  const handleFocus = (e) => {
+    setFocusedId(getRowBookmarkId(e.target));
   };
 
-  const handleDeleteClick = (e, bookmark) => {
-    e.stopPropagation();
-    if (window.confirm('Are you sure you want to delete this bookmark?')) {
-      onDelete(bookmark);
+  const handleBlur = (e) => {
+    if (!listRef.current.contains(e.relatedTarget)) {
+      setFocusedId(null);
     }
   };
 
-  if (bookmarks.length === 0) {
-    return (
-      <div className="empty-state">
-        <div className="empty-state-icon">🔖</div>
-        <h2 className="empty-state-title">
-          {searchTerm ? 'No results found' : 'No bookmarks yet'}
-        </h2>
-        <p className="empty-state-description">
-          {searchTerm 
-            ? 'Try a different search term'
-            : 'Add your first URL bookmark to get started'
-          }
-        </p>
-      </div>
-    );
-  }
+  const renderedIndexes = useMemo(() => {
+    const indexes = new Set();
+    for (let i = range.start; i < Math.min(range.end, rows.length); i++) {
+      indexes.add(i);
+    }
 
-  const totalHeight = bookmarks.length * ITEM_HEIGHT;
-  const offsetY = visibleItems.startIndex * ITEM_HEIGHT;
+    [activeId, focusedId].forEach(id => {
+      const rowIndex = rowIndexByBookmark.get(id);
+      if (rowIndex !== undefined) indexes.add(rowIndex);
+    });
+
+    return [...indexes].sort((a, b) => a - b);
+  }, [range, rows.length, activeId, focusedId, rowIndexByBookmark]);
 
   return (
-    <div 
-      id="bookmark-container"
-      className="virtual-scroll-container"
-      style={{ height: '100%', overflow: 'auto' }}
-      onScroll={handleScroll}
+    <div
+      ref={listRef}
+      className={`virtual-list ${isGrid ? 'virtual-grid' : 'bookmarks-list'}`}
+      style={{ height: offsets[rows.length] }}
+      role="list"
+      onFocus={handleFocus}
+      onBlur={handleBlur}
     >
-      <div style={{ height: totalHeight, position: 'relative' }}>
-        <div 
-          style={{ 
-            transform: `translateY(${offsetY}px)`,
-            position: 'absolute',
-            top: 0,
-            left: 0,
-            right: 0
-          }}
-        >
-          <div className="bookmarks-grid">
-            {visibleItems.items.map((bookmark, index) => {
-              const actualIndex = visibleItems.startIndex + index;
-              
-              return (
-                <div
-                  key={bookmark.id}
-                  className="bookmark-card"
-                  onClick={() => handleCardClick(bookmark.url)}
-                  style={{ 
-                    minHeight: ITEM_HEIGHT,
-                    position: 'relative'
-                  }}
-                >
-                  <div className="bookmark-header">
-                    <div className="bookmark-favicon">
-                      {getFaviconLetter(bookmark.url)}
-                    </div>
-                    <div className="bookmark-content">
-                      <h3 className="bookmark-title">
-                        {bookmark.title || bookmark.url}
-                      </h3>
-                      <p className="bookmark-url">{bookmark.url}</p>
-                      {bookmark.notes && (
-                        <p className="bookmark-notes">{bookmark.notes}</p>
-                      )}
-                      <p className="bookmark-date">
-                        {formatDate(bookmark.modifiedAt)}
-                      </p>
-                    </div>
-                    <button
-                      onClick={(e) => handleDeleteClick(e, bookmark)}
-                      className="close-button"
-                      style={{ 
-                        position: 'absolute',
-                        top: '12px',
-                        right: '12px',
-                        fontSize: '16px'
-                      }}
-                      title="Delete bookmark"
-                    >
-                      ×
-                    </button>
-                  </div>
-                </div>
-              );
-            })}
-          </div>
-        </div>
-      </div>
-      
-      {/* Scroll indicator */}
-      {bookmarks.length > 20 && (
-        <div className="scroll-indicator">
-          <div 
-            className="scroll-thumb"
+      <div ref={viewportRef} className="virtual-list-viewport" aria-hidden="true" />
+      {renderedIndexes.map(index => {
+        const row = rows[index];
+
+        return (
+          <VirtualRow
+            key={row.key}
+            rowKey={row.key}
+            observer={rowObserver}
+            className={isGrid ? 'virtual-row virtual-grid-row' : 'virtual-row'}
             style={{
-              height: `${Math.max(20, (containerHeight / totalHeight) * 100)}%`,
-              top: `${(scrollTop / totalHeight) * 100}%`
+              transform: `translateY(${offsets[index]}px)`,
+              gridTemplateColumns: isGrid ? `repeat(${columns}, minmax(0, 1fr))` : undefined
             }}
-          />
-        </div>
-      )}
+            role={isGrid ? 'presentation' : 'listitem'}
+          >
+            {isGrid
+              ? row.bookmarks.map(bookmark => (
+                <div key={bookmark.id} role="listitem" className="virtual-grid-cell">
+                  {renderBookmark(bookmark)}
+                </div>
+              ))
+              : renderBookmark(row.bookmarks[0])}
+          </VirtualRow>
+        );
+      })}
     </div>
   );
 }
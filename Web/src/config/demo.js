@@ -7,6 +7,7 @@ export const DEMO_BOOKMARKS = [
     url: 'https://developer.apple.com/documentation/cloudkit',
     title: 'CloudKit Documentation',
     notes: 'Official Apple CloudKit documentation',
+    tags: ['apple', 'docs'],
     createdAt: new Date('2024-01-01'),
     modifiedAt: new Date('2024-01-01'),
     recordName: 'demo-1'
@@ -16,6 +17,7 @@ export const DEMO_BOOKMARKS = [
     url: 'https://reactjs.org',
     title: 'React',
     notes: 'A JavaScript library for building user interfaces',
+    tags: ['javascript', 'docs'],
     createdAt: new Date('2024-01-02'),
     modifiedAt: new Date('2024-01-02'),
     recordName: 'demo-2'
@@ -25,6 +27,7 @@ export const DEMO_BOOKMARKS = [
     url: 'https://github.com',
     title: 'GitHub',
     notes: 'Where the world builds software',
+    tags: ['dev'],
     createdAt: new Date('2024-01-03'),
     modifiedAt: new Date('2024-01-03'),
     recordName: 'demo-3'
@@ -1,3 +1,5 @@
+import { DEFAULT_STATUS } from '../utils/readingStatus';
+
 // CloudKit Web Service Configuration
 const CLOUDKIT_CONFIG = {
   containerIdentifier: 'iCloud.com.stash.app',
@@ -17,13 +19,54 @@ const CLOUDKIT_CONFIG = {
   environment: process.env.NODE_ENV === 'production' ? 'production' : 'development'
 };
 
+// Bookmarks live in the custom zone declared in CloudKitSchema.json,
+// which is what makes change tokens (delta fetches) available
+const BOOKMARK_ZONE = { zoneName: 'StashZone' };
+
+// Where bookmarks were saved before StashZone. migrateDefaultZone copies
+// them over once per account, and until it has they're read from here too.
+const DEFAULT_ZONE = { zoneName: '_defaultZone' };
+const ZONE_MIGRATION_KEY = 'stash.defaultZoneMigrated';
+
+// Folders for bookmarks, in the same zone. See utils/collections.js.
+const COLLECTION_RECORD_TYPE = 'Collection';
+
+// Records per request when paging through queries and zone changes
+const PAGE_SIZE = 200;
+
+// CloudKit accepts up to 400 records per modify request. Stay well under
+// so a batch with long notes doesn't hit the request size limit either.
+export const MAX_RECORDS_PER_SAVE = 100;
+
+// Where the web auth token is kept between visits. Owning the token (rather
+// than letting CloudKit JS keep it) lets us hand it to the browser extension.
+const AUTH_TOKEN_KEY = 'stash.ckWebAuthToken';
+
+// Page details the browser extension captures, by bookmark field. Kept in
+// step with BrowserExtension/cloudKitClient.js.
+const METADATA_RECORD_FIELDS = {
+  canonicalURL: 'canonicalURL',
+  description: 'pageDescription',
+  imageURL: 'imageURL',
+  siteName: 'siteName',
+  author: 'author',
+  publishedAt: 'publishedAt',
+  language: 'language'
+};
+
+// Server errors meaning a stored sync token can't be used anymore
+const EXPIRED_TOKEN_ERRORS = ['CHANGE_TOKEN_EXPIRED', 'ZONE_NOT_FOUND', 'USER_DELETED_ZONE'];
+
 class CloudKitService {
   constructor() {
     this.container = null;
     this.database = null;
     this.isInitialized = false;
     this.isAuthenticated = false;
+    this.userRecordName = null;
     this.listeners = new Set();
+    this.zoneReady = null;
+    this.migrationReady = null;
   }
 
   async initialize() {
@@ -31,7 +74,10 @@ class CloudKitService {
 
     try {
       // Initialize CloudKit
-      await window.CloudKit.configure(CLOUDKIT_CONFIG);
+      await window.CloudKit.configure({
+        containers: [CLOUDKIT_CONFIG],
+        services: { authTokenStore: this.createAuthTokenStore() }
+      });
       this.container = window.CloudKit.getDefaultContainer();
       this.database = this.container.privateCloudDatabase;
       
@@ -41,6 +87,7 @@ class CloudKitService {
       const userIdentity = await this.container.whenUserSignsIn();
       if (userIdentity) {
         this.isAuthenticated = true;
+        this.userRecordName = userIdentity.userRecordName;
         this.notifyListeners('authenticated', userIdentity);
       }
       
@@ -59,6 +106,7 @@ class CloudKitService {
     try {
       const userIdentity = await this.container.signIn();
       this.isAuthenticated = true;
+      this.userRecordName = userIdentity.userRecordName;
       this.notifyListeners('authenticated', userIdentity);
       return userIdentity;
     } catch (error) {
@@ -73,6 +121,7 @@ class CloudKitService {
     try {
       await this.container.signOut();
       this.isAuthenticated = false;
+      this.userRecordName = null;
       this.notifyListeners('signedOut');
     } catch (error) {
       console.error('CloudKit sign out failed:', error);
@@ -80,52 +129,373 @@ class CloudKitService {
     }
   }
 
-  async fetchBookmarks() {
+  createAuthTokenStore() {
+    return {
+      getToken: (containerIdentifier) => {
+        return localStorage.getItem(`${AUTH_TOKEN_KEY}.${containerIdentifier}`);
+      },
+      putToken: (containerIdentifier, token) => {
+        const key = `${AUTH_TOKEN_KEY}.${containerIdentifier}`;
+
+        if (token) {
+          localStorage.setItem(key, token);
+        } else {
+          localStorage.removeItem(key);
+        }
+        this.notifyListeners('authTokenChanged');
+      }
+    };
+  }
+
+  /**
+   * What the browser extension needs to call CloudKit Web Services on the
+   * user's behalf, or null when signed out.
+   */
+  getExtensionSession() {
+    const { containerIdentifier, apiTokenAuth, environment } = CLOUDKIT_CONFIG;
+    const webAuthToken = localStorage.getItem(`${AUTH_TOKEN_KEY}.${containerIdentifier}`);
+
+    if (!this.isAuthenticated || !webAuthToken) {
+      return null;
+    }
+
+    return {
+      containerIdentifier,
+      environment,
+      apiToken: apiTokenAuth.apiToken,
+      webAuthToken,
+      userRecordName: this.userRecordName,
+      zoneName: BOOKMARK_ZONE.zoneName,
+      defaultZoneMigrated: this.isDefaultZoneMigrated()
+    };
+  }
+
+  // Create the bookmark zone the first time this account is used from the web
+  async ensureZone() {
+    if (!this.zoneReady) {
+      this.zoneReady = (async () => {
+        const response = await this.database.fetchRecordZones([BOOKMARK_ZONE]);
+
+        if (response.hasErrors) {
+          const created = await this.database.saveRecordZones([BOOKMARK_ZONE]);
+          this.throwIfRecordErrors(created);
+        }
+      })().catch(error => {
+        this.zoneReady = null;
+        throw error;
+      });
+    }
+
+    return this.zoneReady;
+  }
+
+  // Recorded per browser and account, each browser checks for itself once
+  isDefaultZoneMigrated() {
+    return Boolean(this.userRecordName) &&
+      localStorage.getItem(`${ZONE_MIGRATION_KEY}.${this.userRecordName}`) === '1';
+  }
+
+  /**
+   * Copy bookmarks from the default zone into the bookmark zone, keeping
+   * their record names, then record that it's done. Records already there
+   * (copied by another browser or an earlier, interrupted run) are left as
+   * they are. Throws if anything else fails, so the next sync tries again.
+   */
+  async migrateDefaultZone() {
+    if (!this.isAuthenticated) {
+      throw new Error('User not authenticated');
+    }
+
+    if (this.isDefaultZoneMigrated()) return;
+
+    if (!this.migrationReady) {
+      this.migrationReady = (async () => {
+        await this.ensureZone();
+
+        const records = [
+          ...await this.queryAll(this.bookmarksQuery(0), DEFAULT_ZONE),
+          ...await this.queryAll(this.bookmarksQuery(1), DEFAULT_ZONE)
+        ];
+
+        for (let i = 0; i < records.length; i += MAX_RECORDS_PER_SAVE) {
+          const batch = records.slice(i, i + MAX_RECORDS_PER_SAVE).map(record => ({
+            recordName: record.recordName,
+            recordType: record.recordType,
+            fields: record.fields
+          }));
+          const results = await this.saveRecordBatch(batch);
+          const failed = results.find(({ error }) => error && !this.isConflictError(error));
+
+          if (failed) throw failed.error;
+        }
+
+        localStorage.setItem(`${ZONE_MIGRATION_KEY}.${this.userRecordName}`, '1');
+        this.notifyListeners('defaultZoneMigrated', { count: records.length });
+      })().finally(() => {
+        this.migrationReady = null;
+      });
+    }
+
+    return this.migrationReady;
+  }
+
+  // Bookmarks with isDeleted 0 (the library) or 1 (the trash)
+  bookmarksQuery(isDeleted, sortBy = null) {
+    const query = {
+      recordType: 'URLBookmark',
+      filterBy: [{
+        fieldName: 'isDeleted',
+        fieldValue: { value: isDeleted },
+        comparator: 'EQUALS'
+      }]
+    };
+
+    if (sortBy) {
+      query.sortBy = [sortBy];
+    }
+    return query;
+  }
+
+  // Query the bookmark zone, and the default zone too until it's been migrated.
+  // A record in both is the same bookmark, the bookmark zone's copy is current.
+  async queryBookmarkZones(query) {
+    const records = await this.queryAll(query);
+    if (this.isDefaultZoneMigrated()) return records;
+
+    const recordNames = new Set(records.map(record => record.recordName));
+    const legacyRecords = await this.queryAll(query, DEFAULT_ZONE);
+
+    return [...records, ...legacyRecords.filter(record => !recordNames.has(record.recordName))];
+  }
+
+  // sortBy is a { fieldName, ascending } on an indexed field, see utils/sort.js
+  async fetchBookmarks(sortBy = null) {
+    if (!this.isAuthenticated) {
+      throw new Error('User not authenticated');
+    }
+
+    try {
+      await this.ensureZone();
+
+      return await this.queryBookmarkZones(this.bookmarksQuery(0, sortBy || {
+        fieldName: 'modifiedAt',
+        ascending: false
+      }));
+    } catch (error) {
+      console.error('Failed to fetch bookmarks:', error);
+      throw error;
+    }
+  }
+
+  // Soft-deleted bookmarks for the trash, most recently deleted first
+  async fetchDeletedBookmarks() {
     if (!this.isAuthenticated) {
       throw new Error('User not authenticated');
     }
 
     try {
-      const query = {
-        recordType: 'URLBookmark',
+      await this.ensureZone();
+
+      return await this.queryBookmarkZones(this.bookmarksQuery(1, {
+        fieldName: 'modifiedAt',
+        ascending: false
+      }));
+    } catch (error) {
+      console.error('Failed to fetch deleted bookmarks:', error);
+      throw error;
+    }
+  }
+
+  async fetchCollections() {
+    if (!this.isAuthenticated) {
+      throw new Error('User not authenticated');
+    }
+
+    try {
+      await this.ensureZone();
+
+      return await this.queryAll({
+        recordType: COLLECTION_RECORD_TYPE,
         filterBy: [{
           fieldName: 'isDeleted',
           fieldValue: { value: 0 },
           comparator: 'EQUALS'
-        }],
-        sortBy: [{
-          fieldName: 'modifiedAt',
-          ascending: false
         }]
-      };
+      });
+    } catch (error) {
+      console.error('Failed to fetch collections:', error);
+      throw error;
+    }
+  }
+
+  // Follow the continuation until the server has nothing more
+  async queryAll(query, zoneID = BOOKMARK_ZONE) {
+    const records = [];
+    let response = await this.database.performQuery(query, {
+      zoneID,
+      resultsLimit: PAGE_SIZE
+    });
+
+    for (;;) {
+      this.throwIfRecordErrors(response);
+      records.push(...(response.records || []));
+
+      if (!response.moreComing) break;
+      response = await this.database.performQuery(response);
+    }
+
+    return records;
+  }
+
+  /**
+   * Records changed in the bookmark zone since syncToken, paged until done.
+   * Deleted and soft-deleted records come back as deletedRecordNames.
+   * Returns { records, collections, deletedRecordNames, syncToken } with the
+   * changed bookmark and collection records and the token to store for the
+   * next call.
+   */
+  async fetchBookmarkChanges(syncToken) {
+    if (!this.isAuthenticated) {
+      throw new Error('User not authenticated');
+    }
 
-      const response = await this.database.performQuery(query);
-      return response.records || [];
+    try {
+      await this.ensureZone();
+
+      const changed = new Map();
+      const changedCollections = new Map();
+      const deleted = new Set();
+
+      const nextToken = await this.fetchZoneChanges(syncToken, null, (records) => {
+        records.forEach(record => {
+          if (record.deleted || record.fields?.isDeleted?.value === 1) {
+            changed.delete(record.recordName);
+            changedCollections.delete(record.recordName);
+            deleted.add(record.recordName);
+          } else {
+            const target = record.recordType === COLLECTION_RECORD_TYPE ? changedCollections : changed;
+            deleted.delete(record.recordName);
+            target.set(record.recordName, record);
+          }
+        });
+      });
+
+      return {
+        records: Array.from(changed.values()),
+        collections: Array.from(changedCollections.values()),
+        deletedRecordNames: Array.from(deleted),
+        syncToken: nextToken
+      };
     } catch (error) {
-      console.error('Failed to fetch bookmarks:', error);
+      console.error('Failed to fetch bookmark changes:', error);
       throw error;
     }
   }
 
+  // The zone's current sync token, skipping record fields to keep it cheap
+  async fetchZoneSyncToken() {
+    if (!this.isAuthenticated) {
+      throw new Error('User not authenticated');
+    }
+
+    await this.ensureZone();
+    return this.fetchZoneChanges(null, ['isDeleted'], () => {});
+  }
+
+  async fetchZoneChanges(syncToken, desiredKeys, onRecords) {
+    let token = syncToken || undefined;
+
+    for (;;) {
+      const zoneRequest = { zoneID: BOOKMARK_ZONE, syncToken: token, resultsLimit: PAGE_SIZE };
+      if (desiredKeys) {
+        zoneRequest.desiredKeys = desiredKeys;
+      }
+
+      const response = await this.database.fetchRecordZoneChanges([zoneRequest]);
+      this.throwIfRecordErrors(response);
+
+      const zone = response.zones[0];
+      onRecords(zone.records || []);
+      token = zone.syncToken;
+
+      if (!zone.moreComing) return token;
+    }
+  }
+
+  isExpiredTokenError(error) {
+    return EXPIRED_TOKEN_ERRORS.includes(error?.code);
+  }
+
+  // Map a URLBookmark record to the shape the app works with
+  recordToBookmark(record) {
+    const metadata = {};
+    Object.entries(METADATA_RECORD_FIELDS).forEach(([key, fieldName]) => {
+      const value = record.fields[fieldName]?.value;
+      if (value) metadata[key] = value;
+    });
+
+    return {
+      ...metadata,
+      id: record.recordName,
+      url: record.fields.url?.value || '',
+      title: record.fields.title?.value || '',
+      notes: record.fields.notes?.value || '',
+      tags: record.fields.tags?.value || [],
+      collectionId: record.fields.collection?.value?.recordName || null,
+      status: record.fields.status?.value || DEFAULT_STATUS,
+      isFavorite: record.fields.isFavorite?.value === 1,
+      isPinned: record.fields.isPinned?.value === 1,
+      lastVisitedAt: record.fields.lastVisitedAt?.value || null,
+      // Deleted before deletedAt was written, modifiedAt is when it happened
+      deletedAt: record.fields.isDeleted?.value === 1
+        ? record.fields.deletedAt?.value || record.fields.modifiedAt?.value || null
+        : null,
+      createdAt: record.fields.createdAt?.value || new Date(),
+      modifiedAt: record.fields.modifiedAt?.value || new Date(),
+      recordName: record.recordName,
+      recordChangeTag: record.recordChangeTag
+    };
+  }
+
+  // Map a Collection record to the shape the app works with
+  recordToCollection(record) {
+    return {
+      id: record.recordName,
+      name: record.fields.name?.value || '',
+      parentId: record.fields.parent?.value?.recordName || null,
+      createdAt: record.fields.createdAt?.value || new Date(),
+      modifiedAt: record.fields.modifiedAt?.value || new Date(),
+      recordName: record.recordName,
+      recordChangeTag: record.recordChangeTag
+    };
+  }
+
+  // Read-later status and flags, see utils/readingStatus.js
+  readingFields(bookmarkData) {
+    return {
+      status: { value: bookmarkData.status || DEFAULT_STATUS },
+      isFavorite: { value: bookmarkData.isFavorite ? 1 : 0 },
+      isPinned: { value: bookmarkData.isPinned ? 1 : 0 },
+      lastVisitedAt: { value: bookmarkData.lastVisitedAt ? new Date(bookmarkData.lastVisitedAt) : null }
+    };
+  }
+
+  // A reference field value, or null to clear it
+  referenceTo(recordName) {
+    return recordName ? { recordName, zoneID: BOOKMARK_ZONE, action: 'NONE' } : null;
+  }
+
   async saveBookmark(bookmarkData) {
     if (!this.isAuthenticated) {
       throw new Error('User not authenticated');
     }
 
     try {
-      const record = {
-        recordType: 'URLBookmark',
-        fields: {
-          url: { value: bookmarkData.url },
-          title: { value: bookmarkData.title || '' },
-          notes: { value: bookmarkData.notes || '' },
-          createdAt: { value: bookmarkData.createdAt || new Date() },
-          modifiedAt: { value: new Date() },
-          isDeleted: { value: 0 }
-        }
-      };
+      const record = this.bookmarkToNewRecord(bookmarkData);
 
-      const response = await this.database.saveRecords([record]);
+      await this.ensureZone();
+      const response = await this.database.saveRecords([record], { zoneID: BOOKMARK_ZONE });
+      this.throwIfRecordErrors(response);
       return response.records[0];
     } catch (error) {
       console.error('Failed to save bookmark:', error);
@@ -133,25 +503,225 @@ class CloudKitService {
     }
   }
 
+  /**
+   * Save up to MAX_RECORDS_PER_SAVE new bookmarks in one request.
+   * Non-atomic, so one bad record doesn't sink the rest. Returns one
+   * { record } or { error } per bookmark, in order. Throws when the whole
+   * request fails (network, rate limiting) so callers can retry the batch.
+   */
+  async saveBookmarks(bookmarks) {
+    if (!this.isAuthenticated) {
+      throw new Error('User not authenticated');
+    }
+
+    // Client-side record names let us match errors back to their bookmark
+    const records = bookmarks.map(bookmarkData => ({
+      ...this.bookmarkToNewRecord(bookmarkData),
+      recordName: this.generateRecordName()
+    }));
+
+    return this.saveRecordBatch(records);
+  }
+
+  /**
+   * Save changes to up to MAX_RECORDS_PER_SAVE existing bookmarks in one
+   * request, each checked against its change tag. Results as for
+   * saveBookmarks, a bookmark changed elsewhere comes back as a CONFLICT.
+   */
+  async updateBookmarks(bookmarks) {
+    if (!this.isAuthenticated) {
+      throw new Error('User not authenticated');
+    }
+
+    return this.saveRecordBatch(bookmarks.map(bookmarkData => (
+      this.bookmarkToUpdatedRecord(bookmarkData.recordName, bookmarkData)
+    )));
+  }
+
+  /**
+   * Record that up to MAX_RECORDS_PER_SAVE bookmarks were opened, each with
+   * a visit of { lastVisitedAt, status? }. Only those fields are written,
+   * forced rather than checked against the change tag, and modifiedAt is left
+   * alone: opening a link isn't an edit. Results as for saveBookmarks.
+   */
+  async recordVisits(bookmarks) {
+    if (!this.isAuthenticated) {
+      throw new Error('User not authenticated');
+    }
+
+    return this.forceUpdateRecords(bookmarks.map(({ recordName, visit }) => {
+      const fields = { lastVisitedAt: { value: new Date(visit.lastVisitedAt) } };
+      if (visit.status) {
+        fields.status = { value: visit.status };
+      }
+
+      return { recordName, recordType: 'URLBookmark', fields };
+    }));
+  }
+
+  // Soft delete up to MAX_RECORDS_PER_SAVE bookmarks in one request
+  async deleteBookmarks(recordNames) {
+    if (!this.isAuthenticated) {
+      throw new Error('User not authenticated');
+    }
+
+    return this.forceUpdateRecords(recordNames.map(recordName => this.deletedBookmarkRecord(recordName)));
+  }
+
+  // Take up to MAX_RECORDS_PER_SAVE bookmarks back out of the trash
+  async restoreBookmarks(recordNames) {
+    if (!this.isAuthenticated) {
+      throw new Error('User not authenticated');
+    }
+
+    return this.forceUpdateRecords(recordNames.map(recordName => this.restoredBookmarkRecord(recordName)));
+  }
+
+  /**
+   * Delete up to MAX_RECORDS_PER_SAVE bookmarks for good, rather than
+   * soft-deleting them. Other devices see them in their zone changes as
+   * deleted records. Results as for saveBookmarks.
+   */
+  async purgeBookmarks(recordNames) {
+    if (!this.isAuthenticated) {
+      throw new Error('User not authenticated');
+    }
+
+    await this.ensureZone();
+    const response = await this.database.deleteRecords(recordNames, { zoneID: BOOKMARK_ZONE, atomic: false });
+
+    // Already purged, say by another device's retention run
+    return this.resultsByRecordName(recordNames, response).map((result, index) => (
+      result.error?.code === 'NOT_FOUND' ? { record: { recordName: recordNames[index] } } : result
+    ));
+  }
+
+  // Non-atomic save, one { record } or { error } per record in order
+  async saveRecordBatch(records) {
+    await this.ensureZone();
+    const response = await this.database.saveRecords(records, { zoneID: BOOKMARK_ZONE, atomic: false });
+
+    return this.resultsByRecordName(records.map(({ recordName }) => recordName), response);
+  }
+
+  // Write just the fields sent to existing records, whatever their change
+  // tag. A save without a tag would be a create, which fails for a record
+  // that exists. One { record } or { error } per record in order.
+  async forceUpdateRecords(records) {
+    await this.ensureZone();
+
+    const batch = this.database.newRecordsBatch(BOOKMARK_ZONE);
+    records.forEach(record => batch.forceUpdate(record));
+
+    const response = await batch.commit();
+    return this.resultsByRecordName(records.map(({ recordName }) => recordName), response);
+  }
+
+  // Match the records and errors of a non-atomic request back to what was sent
+  resultsByRecordName(recordNames, response) {
+    const saved = new Map((response.records || []).map(record => [record.recordName, record]));
+    const errors = new Map((response.errors || []).map(ckError => [ckError.recordName, ckError]));
+
+    return recordNames.map(recordName => {
+      if (saved.has(recordName)) {
+        return { record: saved.get(recordName) };
+      }
+
+      const ckError = errors.get(recordName);
+      const error = new Error(ckError?.reason || ckError?.serverErrorCode || 'Not saved');
+      error.code = ckError?.ckErrorCode || ckError?.serverErrorCode;
+      return { error };
+    });
+  }
+
+  bookmarkToNewRecord(bookmarkData) {
+    const metadataFields = {};
+    Object.entries(METADATA_RECORD_FIELDS).forEach(([key, fieldName]) => {
+      const value = bookmarkData[key];
+      if (value) metadataFields[fieldName] = { value: key === 'publishedAt' ? new Date(value) : value };
+    });
+
+    return {
+      recordType: 'URLBookmark',
+      fields: {
+        ...metadataFields,
+        url: { value: bookmarkData.url },
+        title: { value: bookmarkData.title || '' },
+        notes: { value: bookmarkData.notes || '' },
+        tags: { value: bookmarkData.tags || [] },
+        collection: { value: this.referenceTo(bookmarkData.collectionId) },
+        ...this.readingFields(bookmarkData),
+        createdAt: { value: bookmarkData.createdAt || new Date() },
+        modifiedAt: { value: bookmarkData.modifiedAt || new Date() },
+        isDeleted: { value: 0 }
+      }
+    };
+  }
+
+  generateRecordName() {
+    if (window.crypto?.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  // Sending the change tag makes CloudKit reject the save if the record
+  // was modified elsewhere since we fetched it
+  bookmarkToUpdatedRecord(recordName, bookmarkData) {
+    return {
+      recordName: recordName,
+      recordType: 'URLBookmark',
+      recordChangeTag: bookmarkData.recordChangeTag,
+      fields: {
+        url: { value: bookmarkData.url },
+        title: { value: bookmarkData.title || '' },
+        notes: { value: bookmarkData.notes || '' },
+        tags: { value: bookmarkData.tags || [] },
+        collection: { value: this.referenceTo(bookmarkData.collectionId) },
+        ...this.readingFields(bookmarkData),
+        modifiedAt: { value: new Date() },
+        isDeleted: { value: 0 }
+      }
+    };
+  }
+
+  // Soft delete by setting isDeleted flag. deletedAt starts the trash retention clock.
+  // Partial, like restoredBookmarkRecord: write it with forceUpdateRecords.
+  deletedBookmarkRecord(recordName) {
+    return {
+      recordName: recordName,
+      recordType: 'URLBookmark',
+      fields: {
+        isDeleted: { value: 1 },
+        deletedAt: { value: new Date() },
+        modifiedAt: { value: new Date() }
+      }
+    };
+  }
+
+  restoredBookmarkRecord(recordName) {
+    return {
+      recordName: recordName,
+      recordType: 'URLBookmark',
+      fields: {
+        isDeleted: { value: 0 },
+        deletedAt: { value: null },
+        modifiedAt: { value: new Date() }
+      }
+    };
+  }
+
   async updateBookmark(recordName, bookmarkData) {
     if (!this.isAuthenticated) {
       throw new Error('User not authenticated');
     }
 
     try {
-      const record = {
-        recordName: recordName,
-        recordType: 'URLBookmark',
-        fields: {
-          url: { value: bookmarkData.url },
-          title: { value: bookmarkData.title || '' },
-          notes: { value: bookmarkData.notes || '' },
-          modifiedAt: { value: new Date() },
-          isDeleted: { value: 0 }
-        }
-      };
+      const record = this.bookmarkToUpdatedRecord(recordName, bookmarkData);
 
-      const response = await this.database.saveRecords([record]);
+      await this.ensureZone();
+      const response = await this.database.saveRecords([record], { zoneID: BOOKMARK_ZONE });
+      this.throwIfRecordErrors(response);
       return response.records[0];
     } catch (error) {
       console.error('Failed to update bookmark:', error);
@@ -165,24 +735,95 @@ class CloudKitService {
     }
 
     try {
-      // Soft delete by setting isDeleted flag
-      const record = {
-        recordName: recordName,
-        recordType: 'URLBookmark',
-        fields: {
-          isDeleted: { value: 1 },
-          modifiedAt: { value: new Date() }
-        }
-      };
-
-      const response = await this.database.saveRecords([record]);
-      return response.records[0];
+      const [{ record, error }] = await this.forceUpdateRecords([this.deletedBookmarkRecord(recordName)]);
+      if (error) throw error;
+      return record;
     } catch (error) {
       console.error('Failed to delete bookmark:', error);
       throw error;
     }
   }
 
+  async restoreBookmark(recordName) {
+    if (!this.isAuthenticated) {
+      throw new Error('User not authenticated');
+    }
+
+    try {
+      const [{ record, error }] = await this.forceUpdateRecords([this.restoredBookmarkRecord(recordName)]);
+      if (error) throw error;
+      return record;
+    } catch (error) {
+      console.error('Failed to restore bookmark:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a collection. The id is assigned on the client (see
+   * generateRecordName), so a collection made offline can be filed into
+   * before it reaches the server.
+   */
+  async createCollection(collection) {
+    return this.saveCollectionFields(collection.id, {
+      name: { value: collection.name },
+      parent: { value: this.referenceTo(collection.parentId) },
+      createdAt: { value: collection.createdAt || new Date() },
+      modifiedAt: { value: new Date() },
+      isDeleted: { value: 0 }
+    }, { create: true });
+  }
+
+  async renameCollection(recordName, name) {
+    return this.saveCollectionFields(recordName, {
+      name: { value: name },
+      modifiedAt: { value: new Date() }
+    });
+  }
+
+  // parentId null moves it to the top level
+  async moveCollection(recordName, parentId) {
+    return this.saveCollectionFields(recordName, {
+      parent: { value: this.referenceTo(parentId) },
+      modifiedAt: { value: new Date() }
+    });
+  }
+
+  // Soft delete, like bookmarks. Bookmarks filed in it become unfiled.
+  async deleteCollection(recordName) {
+    return this.saveCollectionFields(recordName, {
+      isDeleted: { value: 1 },
+      modifiedAt: { value: new Date() }
+    });
+  }
+
+  // A create saves the whole record. Renames, moves and deletes force an
+  // update of just their fields: collections are small and rarely edited on
+  // two devices at once, so the last write wins.
+  async saveCollectionFields(recordName, fields, { create = false } = {}) {
+    if (!this.isAuthenticated) {
+      throw new Error('User not authenticated');
+    }
+
+    try {
+      const record = { recordName, recordType: COLLECTION_RECORD_TYPE, fields };
+
+      if (create) {
+        await this.ensureZone();
+        const response = await this.database.saveRecords([record], { zoneID: BOOKMARK_ZONE });
+        this.throwIfRecordErrors(response);
+        return response.records[0];
+      }
+
+      const [{ record: saved, error }] = await this.forceUpdateRecords([record]);
+      if (error) throw error;
+      return saved;
+    } catch (error) {
+      console.error('Failed to save collection:', error);
+      throw error;
+    }
+  }
+
   addListener(callback) {
     this.listeners.add(callback);
     return () => this.listeners.delete(callback);
@@ -199,6 +840,20 @@ class CloudKitService {
   }
 
   // Utility methods
+  throwIfRecordErrors(response) {
+    if (!response.hasErrors) return;
+
+    const ckError = response.errors[0];
+    const error = new Error(ckError.reason || ckError.serverErrorCode || 'CloudKit request failed');
+    error.code = ckError.ckErrorCode || ckError.serverErrorCode;
+    error.recordName = ckError.recordName;
+    throw error;
+  }
+
+  isConflictError(error) {
+    return error?.code === 'CONFLICT';
+  }
+
   isUserSignedIn() {
     return this.isAuthenticated;
   }
@@ -0,0 +1,155 @@
+// Messages between the web app and the Stash browser extension's content script.
+//
+// Every message is { channel, version, from, type, ... } where type is
+// 'request' (with id, method, params), 'response' (with id, result or error)
+// or 'event' (with event, data). Page code sends from 'app', the content
+// script from 'extension'. Only messages from this window on the configured
+// Stash origin are accepted, and nothing is posted anywhere else.
+import CloudKitService from './CloudKitService';
+
+export const STASH_APP_API_VERSION = 1;
+
+const CHANNEL = 'stash-bridge';
+
+// Deployments can pin the origin so a copy served elsewhere never talks to the extension
+const STASH_ORIGIN = process.env.REACT_APP_STASH_ORIGIN || window.location.origin;
+
+// Most bookmarks listRecent hands out in one call
+const MAX_RECENT = 50;
+
+class ExtensionBridge {
+  constructor() {
+    this.started = false;
+    this.handlers = {};
+    this.libraryChangedListeners = new Set();
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  start() {
+    if (this.started || window.location.origin !== STASH_ORIGIN) return;
+    this.started = true;
+
+    window.addEventListener('message', this.handleMessage);
+
+    window.StashApp = Object.freeze({
+      version: STASH_APP_API_VERSION,
+      ping: () => this.ping(),
+      add: (bookmarkData) => this.add(bookmarkData),
+      listRecent: (limit) => this.listRecent(limit)
+    });
+
+    // Keep the extension's copy of the session current, it syncs with it
+    // even when no Stash tab is open
+    CloudKitService.addListener(event => {
+      if (['authenticated', 'signedOut', 'authTokenChanged', 'defaultZoneMigrated'].includes(event)) {
+        this.post({ type: 'event', event: 'session', data: CloudKitService.getExtensionSession() });
+      }
+    });
+  }
+
+  /**
+   * The app provides the library operations:
+   * { add(bookmarkData) -> bookmark, getBookmarks() -> bookmarks }
+   */
+  setHandlers(handlers) {
+    this.handlers = handlers;
+  }
+
+  // Called when the extension has pushed bookmarks into the library
+  onLibraryChanged(listener) {
+    this.libraryChangedListeners.add(listener);
+    return () => this.libraryChangedListeners.delete(listener);
+  }
+
+  ping() {
+    return {
+      version: STASH_APP_API_VERSION,
+      methods: ['ping', 'add', 'listRecent'],
+      signedIn: CloudKitService.isUserSignedIn()
+    };
+  }
+
+  async add(bookmarkData) {
+    if (!this.handlers.add) {
+      throw new Error('Stash is still loading');
+    }
+    if (!bookmarkData || typeof bookmarkData.url !== 'string') {
+      throw new Error('A bookmark needs a url');
+    }
+
+    return serializeBookmark(await this.handlers.add(bookmarkData));
+  }
+
+  listRecent(limit = 10) {
+    const count = Math.max(1, Math.min(Number(limit) || 10, MAX_RECENT));
+    const bookmarks = this.handlers.getBookmarks ? this.handlers.getBookmarks() : [];
+
+    return [...bookmarks]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, count)
+      .map(serializeBookmark);
+  }
+
+  // Requests the extension may make, the public API plus bridge plumbing
+  getMethod(method) {
+    switch (method) {
+      case 'ping':
+        return () => this.ping();
+      case 'add':
+        return (params) => this.add(params);
+      case 'listRecent':
+        return (params) => this.listRecent(params?.limit);
+      case 'getSession':
+        return () => CloudKitService.getExtensionSession();
+      case 'libraryChanged':
+        return () => {
+          this.libraryChangedListeners.forEach(listener => listener());
+          return true;
+        };
+      default:
+        return null;
+    }
+  }
+
+  async handleMessage(event) {
+    if (event.source !== window || event.origin !== STASH_ORIGIN) return;
+
+    const message = event.data;
+    if (!message || message.channel !== CHANNEL || message.from !== 'extension' || message.type !== 'request') {
+      return;
+    }
+
+    const handler = this.getMethod(message.method);
+    if (!handler) {
+      this.post({ type: 'response', id: message.id, error: `Unknown method: ${message.method}` });
+      return;
+    }
+
+    try {
+      const result = await handler(message.params);
+      this.post({ type: 'response', id: message.id, result });
+    } catch (error) {
+      this.post({ type: 'response', id: message.id, error: error.message });
+    }
+  }
+
+  post(message) {
+    window.postMessage({ channel: CHANNEL, version: STASH_APP_API_VERSION, from: 'app', ...message }, STASH_ORIGIN);
+  }
+}
+
+// Plain data only, dates as ISO strings
+const serializeBookmark = (bookmark) => ({
+  id: bookmark.id,
+  url: bookmark.url,
+  title: bookmark.title || null,
+  notes: bookmark.notes || null,
+  tags: bookmark.tags || [],
+  createdAt: new Date(bookmark.createdAt).toISOString(),
+  modifiedAt: new Date(bookmark.modifiedAt).toISOString(),
+  duplicate: Boolean(bookmark.duplicate)
+});
+
+// Export singleton instance
+const extensionBridge = new ExtensionBridge();
+export default extensionBridge;
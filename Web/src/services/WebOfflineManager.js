@@ -1,14 +1,17 @@
 // Offline Manager for Web App
+import CloudKitService from './CloudKitService';
+
 class WebOfflineManager {
   constructor() {
     this.isOnline = navigator.onLine;
     this.offlineQueue = [];
     this.listeners = new Set();
     this.dbName = 'StashOffline';
-    this.dbVersion = 1;
+    this.dbVersion = 3;
+    this.queuePromise = null;
     
     this.setupEventListeners();
-    this.initializeDatabase();
+    this.dbReady = this.initializeDatabase();
     this.registerServiceWorker();
   }
 
@@ -50,6 +53,16 @@ class WebOfflineManager {
           bookmarksStore.createIndex('url', 'url');
           bookmarksStore.createIndex('modifiedAt', 'modifiedAt');
         }
+        
+        // Collections cache store
+        if (!db.objectStoreNames.contains('collections')) {
+          db.createObjectStore('collections', { keyPath: 'id' });
+        }
+        
+        // Sync metadata store (zone change token)
+        if (!db.objectStoreNames.contains('meta')) {
+          db.createObjectStore('meta', { keyPath: 'key' });
+        }
       };
     });
   }
@@ -83,12 +96,23 @@ class WebOfflineManager {
       retries: 0
     };
 
+    // Edits to a bookmark whose add is still queued are folded into that add
+    if (type !== 'ADD_BOOKMARK' && !data.recordName) {
+      await this.coalesceWithPendingAdd(operation);
+      return { success: false, queued: true };
+    }
+
     if (this.isOnline) {
       // Try to process immediately
       try {
-        await this.processOperation(operation);
-        return { success: true };
+        const result = await this.processOperation(operation);
+        return { success: true, result };
       } catch (error) {
+        // A conflict won't resolve itself by retrying, let the caller handle it
+        if (CloudKitService.isConflictError(error)) {
+          throw error;
+        }
+
         // If immediate processing fails, queue it
         await this.storeOperation(operation);
         return { success: false, queued: true };
@@ -110,34 +134,255 @@ class WebOfflineManager {
         return await this.updateBookmarkOnline(data);
       case 'DELETE_BOOKMARK':
         return await this.deleteBookmarkOnline(data);
+      case 'RESTORE_BOOKMARK':
+        return await this.restoreBookmarkOnline(data);
+      case 'VISIT_BOOKMARK':
+        return await this.visitBookmarkOnline(data);
+      case 'ADD_COLLECTION':
+        return await this.saveCollectionOnline(data, () => CloudKitService.createCollection(data));
+      case 'RENAME_COLLECTION':
+        return await this.saveCollectionOnline(data, () => CloudKitService.renameCollection(data.recordName, data.name));
+      case 'MOVE_COLLECTION':
+        return await this.saveCollectionOnline(data, () => CloudKitService.moveCollection(data.recordName, data.parentId));
+      case 'DELETE_COLLECTION':
+        await CloudKitService.deleteCollection(data.recordName);
+        await this.removeCachedCollection(data.id);
+        return null;
       default:
         throw new Error(`Unknown operation type: ${type}`);
     }
   }
 
   async addBookmarkOnline(bookmarkData) {
-    // This would integrate with CloudKit or your API
-    console.log('Adding bookmark online:', bookmarkData);
-    
-    // Simulate API call
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    return { success: true, id: this.generateId() };
+    const record = await CloudKitService.saveBookmark(bookmarkData);
+    const bookmark = this.mergeSavedRecord(bookmarkData, record);
+
+    // Replace the placeholder entry, if any, with the saved record
+    if (bookmarkData.id && bookmarkData.id !== bookmark.id) {
+      await this.removeCachedBookmark(bookmarkData.id);
+    }
+    await this.cacheBookmark(bookmark);
+
+    return bookmark;
   }
 
   async updateBookmarkOnline(bookmarkData) {
-    console.log('Updating bookmark online:', bookmarkData);
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    return { success: true };
+    const record = await CloudKitService.updateBookmark(bookmarkData.recordName, bookmarkData);
+    const bookmark = this.mergeSavedRecord(bookmarkData, record);
+
+    await this.cacheBookmark(bookmark);
+    return bookmark;
   }
 
   async deleteBookmarkOnline(bookmarkData) {
-    console.log('Deleting bookmark online:', bookmarkData);
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    return { success: true };
+    await CloudKitService.deleteBookmark(bookmarkData.recordName);
+    await this.removeCachedBookmark(bookmarkData.id);
+    return null;
+  }
+
+  async restoreBookmarkOnline(bookmarkData) {
+    const record = await CloudKitService.restoreBookmark(bookmarkData.recordName);
+    const bookmark = this.mergeSavedRecord(bookmarkData, record);
+
+    await this.cacheBookmark(bookmark);
+    return bookmark;
+  }
+
+  async visitBookmarkOnline(bookmarkData) {
+    const [{ record, error }] = await CloudKitService.recordVisits([bookmarkData]);
+    if (error) throw error;
+
+    const bookmark = this.mergeVisit(bookmarkData, record);
+    await this.cacheBookmark(bookmark);
+    return bookmark;
+  }
+
+  // Collections get their record name up front, so there's no placeholder to swap
+  async saveCollectionOnline(collectionData, save) {
+    const record = await save();
+    const { pendingSync, ...collection } = collectionData;
+    const savedCollection = {
+      ...collection,
+      recordChangeTag: record.recordChangeTag,
+      modifiedAt: record.fields?.modifiedAt?.value || new Date()
+    };
+
+    await this.cacheCollection(savedCollection);
+    return savedCollection;
+  }
+
+  /**
+   * Save a batch of new bookmarks in one request and cache the ones that
+   * made it. Returns one { bookmark } or { error } per item, in order.
+   * Falls back to queueing when offline or signed out.
+   */
+  async addBookmarks(bookmarks) {
+    if (!this.isOnline || !CloudKitService.isUserSignedIn()) {
+      const results = [];
+      for (const bookmarkData of bookmarks) {
+        await this.storeOperation({
+          id: this.generateId(),
+          type: 'ADD_BOOKMARK',
+          data: bookmarkData,
+          timestamp: Date.now(),
+          retries: 0
+        });
+        results.push({ bookmark: { ...bookmarkData, pendingSync: true }, queued: true });
+      }
+      return results;
+    }
+
+    const saved = await CloudKitService.saveBookmarks(bookmarks);
+
+    const results = [];
+    for (let i = 0; i < saved.length; i++) {
+      const { record, error } = saved[i];
+
+      if (error) {
+        results.push({ error });
+        continue;
+      }
+
+      const bookmark = this.mergeSavedRecord(bookmarks[i], record);
+      await this.cacheBookmark(bookmark);
+      results.push({ bookmark });
+    }
+
+    return results;
+  }
+
+  /**
+   * Save changes to a batch of bookmarks in one request. Returns one
+   * { bookmark }, { bookmark, queued } or { error } per item, in order.
+   */
+  async updateBookmarks(bookmarks) {
+    return this.processBookmarkBatch('UPDATE_BOOKMARK', bookmarks,
+      batch => CloudKitService.updateBookmarks(batch),
+      async (bookmarkData, record) => {
+        const bookmark = this.mergeSavedRecord(bookmarkData, record);
+        await this.cacheBookmark(bookmark);
+        return bookmark;
+      });
+  }
+
+  // The same for deletes, each result carrying the deleted bookmark
+  async deleteBookmarks(bookmarks) {
+    return this.processBookmarkBatch('DELETE_BOOKMARK', bookmarks,
+      batch => CloudKitService.deleteBookmarks(batch.map(bookmark => bookmark.recordName)),
+      async (bookmarkData) => {
+        await this.removeCachedBookmark(bookmarkData.id);
+        return bookmarkData;
+      });
+  }
+
+  // Take bookmarks back out of the trash, results as for updateBookmarks
+  async restoreBookmarks(bookmarks) {
+    return this.processBookmarkBatch('RESTORE_BOOKMARK', bookmarks,
+      batch => CloudKitService.restoreBookmarks(batch.map(bookmark => bookmark.recordName)),
+      async (bookmarkData, record) => {
+        const bookmark = this.mergeSavedRecord(bookmarkData, record);
+        await this.cacheBookmark(bookmark);
+        return bookmark;
+      });
+  }
+
+  // Record opened bookmarks, each carrying its visit ({ lastVisitedAt, status? }).
+  // Results as for updateBookmarks.
+  async recordVisits(bookmarks) {
+    return this.processBookmarkBatch('VISIT_BOOKMARK', bookmarks,
+      batch => CloudKitService.recordVisits(batch),
+      async (bookmarkData, record) => {
+        const bookmark = this.mergeVisit(bookmarkData, record);
+        await this.cacheBookmark(bookmark);
+        return bookmark;
+      });
+  }
+
+  // Bookmarks whose add is still queued, and everything while offline, go
+  // through the queue one by one. The rest are saved in one request.
+  async processBookmarkBatch(type, bookmarks, saveBatch, onSaved) {
+    const results = new Array(bookmarks.length);
+    const online = [];
+
+    for (let i = 0; i < bookmarks.length; i++) {
+      const operation = {
+        id: this.generateId(),
+        type,
+        data: bookmarks[i],
+        timestamp: Date.now(),
+        retries: 0
+      };
+
+      if (!bookmarks[i].recordName) {
+        await this.coalesceWithPendingAdd(operation);
+      } else if (!this.isOnline || !CloudKitService.isUserSignedIn()) {
+        await this.storeOperation(operation);
+      } else {
+        online.push(i);
+        continue;
+      }
+
+      results[i] = { bookmark: { ...bookmarks[i], pendingSync: true }, queued: true };
+    }
+
+    if (online.length > 0) {
+      const saved = await saveBatch(online.map(i => bookmarks[i]));
+
+      for (let j = 0; j < saved.length; j++) {
+        const { record, error } = saved[j];
+        const i = online[j];
+
+        results[i] = error ? { error } : { bookmark: await onSaved(bookmarks[i], record) };
+      }
+    }
+
+    return results;
+  }
+
+  mergeSavedRecord(bookmarkData, record) {
+    const { pendingSync, ...bookmark } = bookmarkData;
+
+    return {
+      ...bookmark,
+      id: record.recordName,
+      recordName: record.recordName,
+      recordChangeTag: record.recordChangeTag,
+      modifiedAt: record.fields?.modifiedAt?.value || new Date()
+    };
+  }
+
+  // A visit doesn't touch modifiedAt, only the change tag moves on
+  mergeVisit({ visit, pendingSync, ...bookmark }, record) {
+    return { ...bookmark, ...visit, recordChangeTag: record.recordChangeTag };
+  }
+
+  async coalesceWithPendingAdd(operation) {
+    // Deleting a bookmark that never synced dropped its add, so restoring it queues the add again
+    if (operation.type === 'RESTORE_BOOKMARK') {
+      await this.storeOperation({ ...operation, type: 'ADD_BOOKMARK' });
+      return;
+    }
+
+    const operations = await this.getStoredOperations();
+    const pendingAdd = operations.find(op =>
+      op.type === 'ADD_BOOKMARK' && op.data.id === operation.data.id
+    );
+
+    if (!pendingAdd) {
+      throw new Error(`No pending add for bookmark ${operation.data.id}`);
+    }
+
+    if (operation.type === 'DELETE_BOOKMARK') {
+      await this.removeStoredOperation(pendingAdd.id);
+    } else {
+      const changes = operation.type === 'VISIT_BOOKMARK' ? operation.data.visit : operation.data;
+      pendingAdd.data = { ...pendingAdd.data, ...changes };
+      await this.updateStoredOperation(pendingAdd);
+    }
   }
 
   async storeOperation(operation) {
+    await this.dbReady;
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['operations'], 'readwrite');
       const store = transaction.objectStore('operations');
@@ -149,28 +394,40 @@ class WebOfflineManager {
   }
 
   async processOfflineQueue() {
-    if (!this.isOnline) return;
+    if (!this.isOnline || !CloudKitService.isUserSignedIn()) return;
+
+    // Online events and refreshes can overlap, only drain the queue once
+    if (!this.queuePromise) {
+      this.queuePromise = this.drainOfflineQueue().finally(() => {
+        this.queuePromise = null;
+      });
+    }
+
+    return this.queuePromise;
+  }
 
+  async drainOfflineQueue() {
     try {
       const operations = await this.getStoredOperations();
       
       for (const operation of operations) {
         try {
-          await this.processOperation(operation);
+          const result = await this.processOperation(operation);
           await this.removeStoredOperation(operation.id);
-          this.notifyListeners('operationSynced', operation);
+          await this.carryChangeTag(operations, operation, result);
+          this.notifyListeners('operationSynced', { ...operation, result });
         } catch (error) {
           console.error('Failed to process operation:', operation, error);
           
           // Increment retry count
           operation.retries = (operation.retries || 0) + 1;
           
-          if (operation.retries < 3) {
+          if (operation.retries < 3 && !CloudKitService.isConflictError(error)) {
             await this.updateStoredOperation(operation);
           } else {
             // Max retries reached, remove operation
             await this.removeStoredOperation(operation.id);
-            this.notifyListeners('operationFailed', operation);
+            this.notifyListeners('operationFailed', { ...operation, error });
           }
         }
       }
@@ -179,18 +436,83 @@ class WebOfflineManager {
     }
   }
 
+  // Each replay bumps the record's change tag. Later queued updates to the
+  // same record were made on top of this one, so they get the new tag
+  // rather than conflicting with our own edit.
+  async carryChangeTag(operations, operation, result) {
+    if (!result?.recordChangeTag) return;
+
+    const later = operations.slice(operations.indexOf(operation) + 1).filter(op =>
+      op.type === 'UPDATE_BOOKMARK' && op.data.recordName === result.recordName
+    );
+
+    for (const op of later) {
+      op.data = { ...op.data, recordChangeTag: result.recordChangeTag };
+      await this.updateStoredOperation(op);
+    }
+  }
+
   async getStoredOperations() {
+    await this.dbReady;
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['operations'], 'readonly');
       const store = transaction.objectStore('operations');
       const request = store.getAll();
       
-      request.onsuccess = () => resolve(request.result);
+      // Replay in the order the operations were made
+      request.onsuccess = () => resolve(
+        request.result.sort((a, b) => a.timestamp - b.timestamp)
+      );
       request.onerror = () => reject(request.error);
     });
   }
 
+  // Overlay queued operations on a bookmark list so pending changes stay visible
+  async applyPendingOperations(bookmarks) {
+    const operations = await this.getStoredOperations();
+
+    return operations.reduce((result, { type, data }) => {
+      switch (type) {
+        case 'ADD_BOOKMARK':
+        case 'RESTORE_BOOKMARK':
+          return result.some(b => b.id === data.id)
+            ? result
+            : [{ ...data, pendingSync: true }, ...result];
+        case 'UPDATE_BOOKMARK':
+          return result.map(b => b.id === data.id ? { ...data, pendingSync: true } : b);
+        case 'VISIT_BOOKMARK':
+          return result.map(b => b.id === data.id ? { ...b, ...data.visit } : b);
+        case 'DELETE_BOOKMARK':
+          return result.filter(b => b.id !== data.id);
+        default:
+          return result;
+      }
+    }, bookmarks);
+  }
+
+  // The same for collections
+  async applyPendingCollectionOperations(collections) {
+    const operations = await this.getStoredOperations();
+
+    return operations.reduce((result, { type, data }) => {
+      switch (type) {
+        case 'ADD_COLLECTION':
+          return result.some(c => c.id === data.id)
+            ? result
+            : [...result, { ...data, pendingSync: true }];
+        case 'RENAME_COLLECTION':
+        case 'MOVE_COLLECTION':
+          return result.map(c => c.id === data.id ? { ...data, pendingSync: true } : c);
+        case 'DELETE_COLLECTION':
+          return result.filter(c => c.id !== data.id);
+        default:
+          return result;
+      }
+    }, collections);
+  }
+
   async removeStoredOperation(id) {
+    await this.dbReady;
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['operations'], 'readwrite');
       const store = transaction.objectStore('operations');
@@ -202,6 +524,7 @@ class WebOfflineManager {
   }
 
   async updateStoredOperation(operation) {
+    await this.dbReady;
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['operations'], 'readwrite');
       const store = transaction.objectStore('operations');
@@ -214,6 +537,7 @@ class WebOfflineManager {
 
   // Cache management
   async cacheBookmarks(bookmarks) {
+    await this.dbReady;
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['bookmarks'], 'readwrite');
       const store = transaction.objectStore('bookmarks');
@@ -232,16 +556,159 @@ class WebOfflineManager {
   }
 
   async getCachedBookmarks() {
+    await this.dbReady;
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['bookmarks'], 'readonly');
       const store = transaction.objectStore('bookmarks');
       const request = store.getAll();
       
+      // Newest first, the same order the server returns
+      request.onsuccess = () => resolve(
+        request.result.sort((a, b) => new Date(b.modifiedAt) - new Date(a.modifiedAt))
+      );
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async cacheBookmark(bookmark) {
+    await this.dbReady;
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['bookmarks'], 'readwrite');
+      const store = transaction.objectStore('bookmarks');
+      const request = store.put(bookmark);
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async removeCachedBookmark(id) {
+    await this.dbReady;
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['bookmarks'], 'readwrite');
+      const store = transaction.objectStore('bookmarks');
+      const request = store.delete(id);
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async cacheCollections(collections) {
+    await this.dbReady;
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['collections'], 'readwrite');
+      const store = transaction.objectStore('collections');
+      
+      store.clear();
+      collections.forEach(collection => {
+        store.add(collection);
+      });
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async getCachedCollections() {
+    await this.dbReady;
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['collections'], 'readonly');
+      const request = transaction.objectStore('collections').getAll();
+      
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
   }
 
+  async cacheCollection(collection) {
+    await this.dbReady;
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['collections'], 'readwrite');
+      const request = transaction.objectStore('collections').put(collection);
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async removeCachedCollection(id) {
+    await this.dbReady;
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['collections'], 'readwrite');
+      const request = transaction.objectStore('collections').delete(id);
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Merge a delta fetch into the cache and return the full cached library
+  // as { bookmarks, collections }
+  async applyZoneChanges({ records, collections = [], deletedRecordNames, syncToken }, toBookmark, toCollection) {
+    await this.dbReady;
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['bookmarks', 'collections', 'meta'], 'readwrite');
+      const store = transaction.objectStore('bookmarks');
+      const collectionStore = transaction.objectStore('collections');
+      
+      records.forEach(record => store.put(toBookmark(record)));
+      collections.forEach(record => collectionStore.put(toCollection(record)));
+      deletedRecordNames.forEach(recordName => {
+        store.delete(recordName);
+        collectionStore.delete(recordName);
+      });
+      transaction.objectStore('meta').put({ key: 'syncToken', value: syncToken });
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    return {
+      bookmarks: await this.getCachedBookmarks(),
+      collections: await this.getCachedCollections()
+    };
+  }
+
+  async getSyncToken() {
+    await this.dbReady;
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['meta'], 'readonly');
+      const request = transaction.objectStore('meta').get('syncToken');
+      
+      request.onsuccess = () => resolve(request.result ? request.result.value : null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async setSyncToken(syncToken) {
+    await this.dbReady;
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['meta'], 'readwrite');
+      const store = transaction.objectStore('meta');
+      const request = syncToken
+        ? store.put({ key: 'syncToken', value: syncToken })
+        : store.delete('syncToken');
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Forget the cached library and its sync token, e.g. on sign out
+  async clearCache() {
+    await this.dbReady;
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['bookmarks', 'collections', 'meta'], 'readwrite');
+      transaction.objectStore('bookmarks').clear();
+      transaction.objectStore('collections').clear();
+      transaction.objectStore('meta').clear();
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   // Event listeners
   addListener(callback) {
     this.listeners.add(callback);
@@ -0,0 +1,39 @@
+// Running long lists of writes in batches that can be cancelled and resumed
+
+/**
+ * Call processBatch on successive slices of items. processBatch returns one
+ * result per item; results with an error are collected as failures.
+ * Stops early when the signal aborts or a whole batch throws, and hands back
+ * the unprocessed items so the run can be resumed.
+ * Resolves to { processed, failures, remaining, cancelled, error }.
+ */
+export const runInBatches = async (items, processBatch, { batchSize, signal, onProgress } = {}) => {
+  const failures = [];
+  let processed = 0;
+
+  for (let start = 0; start < items.length; start += batchSize) {
+    if (signal?.aborted) {
+      return { processed, failures, remaining: items.slice(start), cancelled: true, error: null };
+    }
+
+    const batch = items.slice(start, start + batchSize);
+    let results;
+
+    try {
+      results = await processBatch(batch);
+    } catch (error) {
+      return { processed, failures, remaining: items.slice(start), cancelled: false, error };
+    }
+
+    results.forEach((result, index) => {
+      if (result?.error) {
+        failures.push({ item: batch[index], error: result.error });
+      }
+    });
+
+    processed += batch.length;
+    if (onProgress) onProgress(processed, items.length);
+  }
+
+  return { processed, failures, remaining: [], cancelled: false, error: null };
+};
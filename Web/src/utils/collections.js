@@ -0,0 +1,178 @@
+// Collections are folders for bookmarks. Each one points at its parent, and
+// bookmarks point at the collection they're in. References to a deleted
+// collection are left in place and read as "not in a collection".
+
+export const COLLECTION_PATH_SEPARATOR = '/';
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+export const indexCollections = (collections) => new Map(collections.map(c => [c.id, c]));
+
+/**
+ * Collections as a tree, siblings sorted by name. Returns the top level as
+ * [{ collection, children, depth }]. A collection whose parent is gone (or
+ * that would loop back on itself) is shown at the top level.
+ */
+export const buildCollectionTree = (collections) => {
+  const byId = indexCollections(collections);
+  const childrenOf = new Map();
+
+  collections.forEach(collection => {
+    const parentId = byId.has(collection.parentId) && !isAncestor(collection.id, collection.parentId, byId)
+      ? collection.parentId
+      : null;
+
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push(collection);
+  });
+
+  const build = (parentId, depth) => (childrenOf.get(parentId) || [])
+    .sort(byName)
+    .map(collection => ({
+      collection,
+      depth,
+      children: build(collection.id, depth + 1)
+    }));
+
+  return build(null, 0);
+};
+
+// The tree in display order, for <select> options and keyboard lists
+export const flattenCollectionTree = (tree) => {
+  const flat = [];
+  const visit = (nodes) => nodes.forEach(node => {
+    flat.push(node);
+    visit(node.children);
+  });
+  visit(tree);
+  return flat;
+};
+
+// Whether ancestorId is id itself or one of its parents
+function isAncestor(ancestorId, id, byId) {
+  const seen = new Set();
+
+  for (let current = id; current && !seen.has(current); current = byId.get(current)?.parentId) {
+    if (current === ancestorId) return true;
+    seen.add(current);
+  }
+
+  return false;
+}
+
+// A collection can't move into itself or one of its own subcollections
+export const canMoveCollection = (collectionId, parentId, collections) => {
+  if (!parentId) return true;
+  return !isAncestor(collectionId, parentId, indexCollections(collections));
+};
+
+// The collection and everything nested under it, as a Set of ids
+export const getCollectionWithDescendants = (collectionId, collections) => {
+  const childrenOf = new Map();
+  collections.forEach(collection => {
+    if (!childrenOf.has(collection.parentId)) childrenOf.set(collection.parentId, []);
+    childrenOf.get(collection.parentId).push(collection.id);
+  });
+
+  const ids = new Set([collectionId]);
+  const queue = [collectionId];
+
+  while (queue.length > 0) {
+    (childrenOf.get(queue.shift()) || []).forEach(childId => {
+      if (!ids.has(childId)) {
+        ids.add(childId);
+        queue.push(childId);
+      }
+    });
+  }
+
+  return ids;
+};
+
+// Names from the top level down to collectionId, e.g. ['Work', 'Projects']
+export const getCollectionPath = (collectionId, byId) => {
+  const path = [];
+  const seen = new Set();
+
+  for (let current = byId.get(collectionId); current && !seen.has(current.id); current = byId.get(current.parentId)) {
+    path.unshift(current.name);
+    seen.add(current.id);
+  }
+
+  return path;
+};
+
+// The collection a bookmark is in, or null when it's unfiled
+export const getBookmarkCollectionId = (bookmark, byId) => (
+  bookmark.collectionId && byId.has(bookmark.collectionId) ? bookmark.collectionId : null
+);
+
+// Bookmarks directly in each collection, plus null for unfiled ones
+export const countBookmarksByCollection = (bookmarks, byId) => {
+  const counts = new Map();
+
+  bookmarks.forEach(bookmark => {
+    const collectionId = getBookmarkCollectionId(bookmark, byId);
+    counts.set(collectionId, (counts.get(collectionId) || 0) + 1);
+  });
+
+  return counts;
+};
+
+// Compares folder paths case-insensitively
+export const collectionPathKey = (path) => path.map(name => name.toLowerCase()).join('\n');
+
+/**
+ * Match imported folder paths to collections, by name at each level,
+ * case-insensitively. Returns { collectionIds, created } where collectionIds
+ * maps each path (joined with '\n', lower-case) to a collection id and created
+ * lists the collections that have to be made, parents first. createId gives
+ * each new collection its id.
+ */
+export const resolveCollectionPaths = (paths, collections, createId) => {
+  const byId = indexCollections(collections);
+  const collectionIds = new Map();
+  const created = [];
+  const childrenOf = new Map();
+
+  collections.forEach(collection => {
+    const parentId = byId.has(collection.parentId) ? collection.parentId : '';
+    const key = `${parentId}\n${collection.name.toLowerCase()}`;
+    if (!childrenOf.has(key)) childrenOf.set(key, collection);
+  });
+
+  paths.forEach(path => {
+    let parentId = null;
+
+    path.forEach((name, depth) => {
+      const key = `${parentId || ''}\n${name.toLowerCase()}`;
+      let collection = childrenOf.get(key);
+
+      if (!collection) {
+        collection = { id: createId(), name, parentId };
+        childrenOf.set(key, collection);
+        created.push(collection);
+      }
+
+      collectionIds.set(collectionPathKey(path.slice(0, depth + 1)), collection.id);
+      parentId = collection.id;
+    });
+  });
+
+  return { collectionIds, created };
+};
+
+// An imported bookmark's folder path, from our exports or a browser's
+export const getImportedCollectionPath = (imported) => {
+  const path = imported.collectionPath || imported.folderPath;
+
+  if (Array.isArray(path)) {
+    return path.map(name => String(name).trim()).filter(Boolean);
+  }
+
+  if (typeof path === 'string') {
+    return path.split(COLLECTION_PATH_SEPARATOR).map(name => name.trim()).filter(Boolean);
+  }
+
+  return [];
+};
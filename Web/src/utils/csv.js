@@ -0,0 +1,209 @@
+// RFC 4180 CSV reading and writing, plus the column mapping used by CSV import
+import { parseTagString, formatTagString } from './tags';
+import { COLLECTION_PATH_SEPARATOR } from './collections';
+
+export const DELIMITERS = [
+  { value: ',', label: 'Comma' },
+  { value: ';', label: 'Semicolon' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe' }
+];
+
+// Fields an imported column can be assigned to
+export const IMPORT_FIELDS = [
+  { key: 'url', label: 'URL', required: true },
+  { key: 'title', label: 'Title' },
+  { key: 'notes', label: 'Notes' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'collection', label: 'Collection' },
+  { key: 'createdAt', label: 'Created' },
+  { key: 'modifiedAt', label: 'Modified' }
+];
+
+// The header bookmarksToCSV writes, so our own exports map without guessing
+export const STASH_CSV_HEADER = ['URL', 'Title', 'Notes', 'Created', 'Modified', 'Tags', 'Collection'];
+
+// Header names other tools use for each field, compared lower-case without punctuation
+const HEADER_ALIASES = {
+  url: ['url', 'link', 'href', 'address', 'uri', 'website'],
+  title: ['title', 'name', 'pagetitle'],
+  notes: ['notes', 'note', 'description', 'excerpt', 'comment', 'comments', 'extended'],
+  tags: ['tags', 'tag', 'labels', 'label', 'keywords'],
+  collection: ['collection', 'folder', 'folders', 'path'],
+  createdAt: ['created', 'createdat', 'dateadded', 'added', 'adddate', 'time', 'date', 'timestamp'],
+  modifiedAt: ['modified', 'modifiedat', 'updated', 'updatedat', 'lastmodified']
+};
+
+const stripBOM = (text) => (text.charCodeAt(0) === 0xfeff ? text.slice(1) : text);
+
+/**
+ * Split CSV text into rows of fields. Quoted fields may contain the
+ * delimiter, doubled quotes and line breaks. Handles \n, \r\n and \r.
+ */
+export const parseCSV = (input, delimiter = ',') => {
+  const text = stripBOM(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines aren't records
+  return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+};
+
+// Pick the delimiter that splits the first line into the most columns
+export const detectDelimiter = (input) => {
+  const text = stripBOM(input);
+  let best = ',';
+  let bestCount = 0;
+
+  DELIMITERS.forEach(({ value }) => {
+    const [firstRow = []] = parseCSV(text.slice(0, 4096), value);
+    if (firstRow.length > bestCount) {
+      best = value;
+      bestCount = firstRow.length;
+    }
+  });
+
+  return best;
+};
+
+const escapeField = (value) => {
+  const str = value === null || value === undefined ? '' : String(value);
+  return `"${str.replace(/"/g, '""')}"`;
+};
+
+export const stringifyCSV = (rows) => {
+  return rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+};
+
+const normalizeHeader = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Exports from before collections end at the Tags column
+export const isStashHeader = (header) => {
+  return header.length >= STASH_CSV_HEADER.length - 1 &&
+    header.length <= STASH_CSV_HEADER.length &&
+    header.every((name, index) => name.trim() === STASH_CSV_HEADER[index]);
+};
+
+/**
+ * Guess which column feeds each field from the header row, falling back to
+ * the first column that holds links for the URL.
+ * Returns { url: 0, title: 1, ... } with -1 for unmapped fields.
+ */
+export const guessColumnMapping = (header, sampleRows = []) => {
+  const normalized = header.map(normalizeHeader);
+  const mapping = {};
+  const used = new Set();
+
+  IMPORT_FIELDS.forEach(({ key }) => {
+    const index = normalized.findIndex((name, i) =>
+      !used.has(i) && HEADER_ALIASES[key].includes(name)
+    );
+    mapping[key] = index;
+    if (index >= 0) used.add(index);
+  });
+
+  if (mapping.url < 0) {
+    const [sample = []] = sampleRows;
+    mapping.url = sample.findIndex(value => /^(https?|ftp):\/\//i.test((value || '').trim()));
+  }
+
+  return mapping;
+};
+
+// Dates may be ISO strings, locale strings or epoch seconds/milliseconds.
+// Null when it isn't a date, including timestamps too large for a Date.
+const parseDateValue = (value) => {
+  const trimmed = (value || '').trim();
+  if (!trimmed) return null;
+
+  let date;
+  if (/^\d+$/.test(trimmed)) {
+    const number = Number(trimmed);
+    date = new Date(number > 1e11 ? number : number * 1000);
+  } else {
+    date = new Date(trimmed);
+  }
+
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// An empty cell rather than a thrown RangeError for a missing or bad date
+const formatDateCell = (value) => {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date.toISOString() : '';
+};
+
+// Turn data rows into bookmark data using a column mapping
+export const rowsToBookmarks = (rows, mapping) => {
+  const valueAt = (row, key) => (mapping[key] >= 0 ? (row[mapping[key]] || '').trim() : '');
+
+  return rows.map(row => {
+    const createdAt = parseDateValue(valueAt(row, 'createdAt')) || new Date();
+    const modifiedAt = parseDateValue(valueAt(row, 'modifiedAt')) || createdAt;
+
+    return {
+      url: valueAt(row, 'url'),
+      title: valueAt(row, 'title') || null,
+      notes: valueAt(row, 'notes') || null,
+      tags: parseTagString(valueAt(row, 'tags').replace(/[;|]/g, ',')),
+      collectionPath: valueAt(row, 'collection'),
+      createdAt: createdAt.toISOString(),
+      modifiedAt: modifiedAt.toISOString()
+    };
+  });
+};
+
+export const bookmarksToCSV = (bookmarks) => {
+  const rows = bookmarks.map(bookmark => [
+    bookmark.url,
+    bookmark.title || '',
+    bookmark.notes || '',
+    formatDateCell(bookmark.createdAt),
+    formatDateCell(bookmark.modifiedAt),
+    formatTagString(bookmark.tags),
+    (bookmark.collectionPath || []).join(COLLECTION_PATH_SEPARATOR)
+  ]);
+
+  return stringifyCSV([STASH_CSV_HEADER, ...rows]);
+};
@@ -0,0 +1,47 @@
+// Grouping and merging bookmarks that point at the same page
+import { canonicalizeURL } from './url';
+import { normalizeTags } from './tags';
+import { mergeNotes } from './importPlan';
+
+const createdTime = (bookmark) => new Date(bookmark.createdAt || 0).getTime();
+
+/**
+ * Bookmarks whose URLs canonicalize the same, as [{ key, bookmarks }].
+ * Each group is oldest first and groups are ordered by their oldest bookmark.
+ */
+export const findDuplicateGroups = (bookmarks) => {
+  const groups = new Map();
+
+  bookmarks.forEach(bookmark => {
+    const key = canonicalizeURL(bookmark.url);
+    if (!key) return;
+
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(bookmark);
+  });
+
+  return Array.from(groups.entries())
+    .filter(([, group]) => group.length > 1)
+    .map(([key, group]) => ({
+      key,
+      bookmarks: [...group].sort((a, b) => createdTime(a) - createdTime(b))
+    }))
+    .sort((a, b) => createdTime(a.bookmarks[0]) - createdTime(b.bookmarks[0]));
+};
+
+/**
+ * Fold a group into its oldest bookmark, so the merged record keeps the
+ * oldest createdAt. Returns { keep, remove }.
+ */
+export const mergeDuplicateGroup = (group) => {
+  const [oldest, ...rest] = group;
+
+  const keep = rest.reduce((merged, bookmark) => ({
+    ...merged,
+    title: merged.title || bookmark.title,
+    notes: mergeNotes(merged.notes, bookmark.notes),
+    tags: normalizeTags([...(merged.tags || []), ...(bookmark.tags || [])])
+  }), { ...oldest, tags: normalizeTags(oldest.tags) });
+
+  return { keep, remove: rest };
+};
@@ -0,0 +1,141 @@
+// Sorting imported bookmarks against the library before anything is written.
+// The strategies match ExportImportService.resolveConflicts on Apple platforms.
+import { normalizeTags, parseTagString } from './tags';
+import { canonicalizeURL, indexByCanonicalURL } from './url';
+
+export const IMPORT_STRATEGIES = [
+  { value: 'keepLocal', label: 'Keep mine' },
+  { value: 'keepImported', label: 'Use imported' },
+  { value: 'merge', label: 'Merge' }
+];
+
+export const DEFAULT_STRATEGY = 'merge';
+
+const NOTES_SEPARATOR = '\n\n---\n';
+
+export const isValidURL = (string) => {
+  try {
+    new URL(string);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const sameText = (a, b) => (a || '').trim() === (b || '').trim();
+
+const hasAllTags = (local, imported) => {
+  const localTags = new Set(normalizeTags(local).map(tag => tag.toLowerCase()));
+  return parseTagString(imported).every(tag => localTags.has(tag.toLowerCase()));
+};
+
+// What the imported copy would add to the bookmark we already have
+const describeChanges = (local, imported) => {
+  const changes = [];
+
+  if (imported.title && !sameText(imported.title, local.title)) changes.push('title');
+  if (imported.notes && !(local.notes || '').includes(imported.notes.trim())) changes.push('notes');
+  if (!hasAllTags(local.tags, imported.tags)) changes.push('tags');
+
+  return changes;
+};
+
+/**
+ * Sort imported bookmark data into what would happen on import.
+ * Returns { new, changed, duplicate, invalid }, each a list of
+ * { index, imported, local, changes, reason }.
+ */
+export const buildImportPlan = (importData, bookmarks) => {
+  const plan = { new: [], changed: [], duplicate: [], invalid: [] };
+  const byURL = indexByCanonicalURL(bookmarks);
+  const seen = new Set();
+
+  importData.forEach((imported, index) => {
+    const url = typeof imported?.url === 'string' ? imported.url.trim() : '';
+    const entry = { index, imported: { ...imported, url }, local: null, changes: [], reason: null };
+
+    if (!url || !isValidURL(url)) {
+      plan.invalid.push({ ...entry, reason: url ? 'Not a valid URL' : 'Missing URL' });
+      return;
+    }
+
+    // http/https, www., tracking parameters and the like don't make a new page
+    const key = canonicalizeURL(url);
+
+    if (seen.has(key)) {
+      plan.duplicate.push({ ...entry, reason: 'Repeated in this file' });
+      return;
+    }
+    seen.add(key);
+
+    const local = byURL.get(key);
+    if (!local) {
+      plan.new.push(entry);
+      return;
+    }
+
+    const changes = describeChanges(local, entry.imported);
+    if (changes.length > 0) {
+      plan.changed.push({ ...entry, local, changes });
+    } else {
+      plan.duplicate.push({ ...entry, local, reason: 'Already saved' });
+    }
+  });
+
+  return plan;
+};
+
+// Both sets of notes, unless one already contains the other
+export const mergeNotes = (local, imported) => {
+  if (!local || !imported) return imported || local || null;
+  if (local.includes(imported.trim())) return local;
+  if (imported.includes(local.trim())) return imported;
+  return `${local}${NOTES_SEPARATOR}${imported}`;
+};
+
+/**
+ * The bookmark to save for a changed entry, or null when the local copy stays.
+ * Merge keeps the newer title, both sets of notes and every tag.
+ */
+export const resolveImportEntry = (local, imported, strategy) => {
+  switch (strategy) {
+    case 'keepImported':
+      return {
+        ...local,
+        title: imported.title || local.title,
+        notes: imported.notes || local.notes,
+        tags: parseTagString(imported.tags).length > 0 ? parseTagString(imported.tags) : local.tags
+      };
+
+    case 'merge': {
+      const importedIsNewer = new Date(imported.modifiedAt || 0) > new Date(local.modifiedAt || 0);
+
+      return {
+        ...local,
+        title: (importedIsNewer && imported.title) || local.title || imported.title,
+        notes: mergeNotes(local.notes, imported.notes),
+        tags: normalizeTags([...(local.tags || []), ...parseTagString(imported.tags)])
+      };
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * The writes an import plan turns into, as { type: 'add' | 'update', entry, bookmark }.
+ * Changed entries resolved as keepLocal are left out.
+ */
+export const buildImportTasks = (plan, strategies) => {
+  const adds = plan.new.map(entry => ({ type: 'add', entry, bookmark: entry.imported }));
+  const updates = plan.changed
+    .map(entry => ({
+      type: 'update',
+      entry,
+      bookmark: resolveImportEntry(entry.local, entry.imported, strategies[entry.index])
+    }))
+    .filter(task => task.bookmark);
+
+  return [...adds, ...updates];
+};
@@ -0,0 +1,194 @@
+// Netscape Bookmark File (NETSCAPE-Bookmark-file-1) import and export.
+// This is the bookmarks.html format Chrome, Firefox and Safari read and write.
+import { normalizeTags, parseTagString } from './tags';
+
+// Browser root folders, not folders the user made
+const ROOT_FOLDER_ATTRIBUTES = ['personal_toolbar_folder', 'unfiled_bookmarks_folder'];
+
+// Bookmarklets and Firefox smart folders aren't web pages
+const UNSUPPORTED_URL = /^(javascript|place|data):/i;
+
+const escapeHTML = (str) => {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// ADD_DATE is seconds since the epoch, though some tools write ms or µs
+const parseTimestamp = (value) => {
+  const number = Number(value);
+  if (!value || !Number.isFinite(number) || number <= 0) return null;
+
+  if (number > 1e14) return new Date(number / 1000);
+  if (number > 1e11) return new Date(number);
+  return new Date(number * 1000);
+};
+
+const toTimestamp = (value) => {
+  const time = new Date(value || Date.now()).getTime();
+  return Math.floor((Number.isNaN(time) ? Date.now() : time) / 1000);
+};
+
+// The folder heading for a <DL>: an <H3> just before it, or inside the <DT> before it
+const folderHeadingFor = (dl) => {
+  const previous = dl.previousElementSibling;
+  if (!previous) return null;
+  if (previous.tagName === 'H3') return previous;
+  if (previous.tagName === 'DT') {
+    return Array.from(previous.children).find(child => child.tagName === 'H3') || null;
+  }
+  return null;
+};
+
+const folderPathFor = (link) => {
+  const path = [];
+
+  for (let node = link.parentElement; node; node = node.parentElement) {
+    if (node.tagName !== 'DL') continue;
+
+    const heading = folderHeadingFor(node);
+    if (!heading) continue;
+
+    const isRoot = ROOT_FOLDER_ATTRIBUTES.some(attr => heading.hasAttribute(attr));
+    const name = heading.textContent.trim();
+
+    if (name && !isRoot) {
+      path.unshift(name);
+    }
+  }
+
+  return path;
+};
+
+// The <DD> after a bookmark's <DT> holds its description
+const descriptionFor = (link) => {
+  const dt = link.parentElement;
+  const next = dt && dt.tagName === 'DT' ? dt.nextElementSibling : link.nextElementSibling;
+
+  if (next && next.tagName === 'DD') {
+    return next.textContent.trim() || null;
+  }
+  return null;
+};
+
+/**
+ * Parse a Netscape bookmark file. Anchors outside a <DL> tree (plain HTML
+ * pages) are still picked up, just without folders.
+ * Each bookmark's folderPath, e.g. ['Development', 'JavaScript'], is imported
+ * as nested collections.
+ */
+export const parseNetscapeBookmarks = (htmlString) => {
+  const doc = new DOMParser().parseFromString(htmlString, 'text/html');
+  const links = Array.from(doc.querySelectorAll('a[href]'));
+
+  return links
+    .filter(link => !UNSUPPORTED_URL.test(link.getAttribute('href').trim()))
+    .map(link => {
+      const folderPath = folderPathFor(link);
+      const createdAt = parseTimestamp(link.getAttribute('add_date')) || new Date();
+      const modifiedAt = parseTimestamp(link.getAttribute('last_modified')) || createdAt;
+
+      return {
+        url: link.getAttribute('href').trim(),
+        title: link.textContent.trim() || null,
+        notes: descriptionFor(link),
+        // TAGS is written by Firefox, data-tags by older Stash exports
+        tags: normalizeTags(parseTagString(link.getAttribute('tags') || link.dataset.tags)),
+        folderPath,
+        createdAt: createdAt.toISOString(),
+        modifiedAt: modifiedAt.toISOString()
+      };
+    });
+};
+
+const buildFolderTree = (bookmarks) => {
+  const root = { name: null, folders: new Map(), bookmarks: [] };
+
+  bookmarks.forEach(bookmark => {
+    let folder = root;
+    (bookmark.collectionPath || []).forEach(name => {
+      if (!folder.folders.has(name)) {
+        folder.folders.set(name, { name, folders: new Map(), bookmarks: [] });
+      }
+      folder = folder.folders.get(name);
+    });
+
+    folder.bookmarks.push(bookmark);
+  });
+
+  return root;
+};
+
+const bookmarksIn = (folder) => {
+  const all = [...folder.bookmarks];
+  folder.folders.forEach(child => all.push(...bookmarksIn(child)));
+  return all;
+};
+
+const folderDates = (folder) => {
+  const all = bookmarksIn(folder);
+
+  const created = all.map(b => toTimestamp(b.createdAt));
+  const modified = all.map(b => toTimestamp(b.modifiedAt));
+
+  return {
+    // reduce rather than spread, folders can hold thousands of bookmarks
+    addDate: created.length ? created.reduce((a, b) => Math.min(a, b)) : toTimestamp(),
+    lastModified: modified.length ? modified.reduce((a, b) => Math.max(a, b)) : toTimestamp()
+  };
+};
+
+const writeFolder = (folder, depth) => {
+  const indent = '    '.repeat(depth);
+  let output = '';
+
+  folder.folders.forEach(child => {
+    const { addDate, lastModified } = folderDates(child);
+    output += `${indent}<DT><H3 ADD_DATE="${addDate}" LAST_MODIFIED="${lastModified}">${escapeHTML(child.name)}</H3>\n`;
+    output += `${indent}<DL><p>\n`;
+    output += writeFolder(child, depth + 1);
+    output += `${indent}</DL><p>\n`;
+  });
+
+  folder.bookmarks.forEach(bookmark => {
+    const tags = normalizeTags(bookmark.tags);
+    const attributes = [
+      `HREF="${escapeHTML(bookmark.url)}"`,
+      `ADD_DATE="${toTimestamp(bookmark.createdAt)}"`,
+      `LAST_MODIFIED="${toTimestamp(bookmark.modifiedAt)}"`
+    ];
+
+    if (tags.length > 0) {
+      attributes.push(`TAGS="${escapeHTML(tags.join(','))}"`);
+    }
+
+    output += `${indent}<DT><A ${attributes.join(' ')}>${escapeHTML(bookmark.title || bookmark.url)}</A>\n`;
+
+    if (bookmark.notes) {
+      output += `${indent}<DD>${escapeHTML(bookmark.notes)}\n`;
+    }
+  });
+
+  return output;
+};
+
+/**
+ * Write bookmarks as a Netscape bookmark file that browsers can import.
+ * Each bookmark's collectionPath becomes nested folders, tags go in TAGS.
+ */
+export const exportNetscapeBookmarks = (bookmarks) => {
+  const tree = buildFolderTree(bookmarks);
+
+  return `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<!-- This is an automatically generated file.
+     It will be read and overwritten.
+     DO NOT EDIT! -->
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+${writeFolder(tree, 1)}</DL><p>
+`;
+};
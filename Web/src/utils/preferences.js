@@ -0,0 +1,22 @@
+// Settings that belong to this browser rather than the iCloud library,
+// kept in localStorage as JSON
+
+const PREFERENCE_PREFIX = 'stash.';
+
+export const loadPreference = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(PREFERENCE_PREFIX + key);
+    return stored === null ? fallback : JSON.parse(stored);
+  } catch {
+    // Storage disabled or a value we can't parse
+    return fallback;
+  }
+};
+
+export const savePreference = (key, value) => {
+  try {
+    localStorage.setItem(PREFERENCE_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Failed to save preference ${key}:`, error);
+  }
+};
@@ -0,0 +1,34 @@
+// Read-later state: each bookmark is unread, read or archived, and can be
+// starred as a favorite or pinned to the top of the list.
+
+export const BOOKMARK_STATUSES = ['unread', 'read', 'archived'];
+
+// Records from before statuses, or from clients that don't set one
+export const DEFAULT_STATUS = 'unread';
+
+export const getBookmarkStatus = (bookmark) => (
+  BOOKMARK_STATUSES.includes(bookmark.status) ? bookmark.status : DEFAULT_STATUS
+);
+
+export const isUnread = (bookmark) => getBookmarkStatus(bookmark) === 'unread';
+export const isArchived = (bookmark) => getBookmarkStatus(bookmark) === 'archived';
+
+// The tabs above the list. Inbox is everything not archived.
+export const READING_TABS = [
+  { key: 'inbox', label: 'Inbox', matches: bookmark => !isArchived(bookmark) },
+  { key: 'favorites', label: 'Favorites', matches: bookmark => Boolean(bookmark.isFavorite) },
+  { key: 'archive', label: 'Archive', matches: isArchived }
+];
+
+export const DEFAULT_READING_TAB = 'inbox';
+
+export const filterByReadingTab = (bookmarks, tabKey) => {
+  const tab = READING_TABS.find(({ key }) => key === tabKey) || READING_TABS[0];
+  return bookmarks.filter(tab.matches);
+};
+
+// Pinned bookmarks first, each group keeping the order it was given in
+export const pinnedFirst = (bookmarks) => [
+  ...bookmarks.filter(bookmark => bookmark.isPinned),
+  ...bookmarks.filter(bookmark => !bookmark.isPinned)
+];
@@ -0,0 +1,314 @@
+// Search query language for the bookmark list.
+//
+//   react hooks            both words, anywhere (typos tolerated)
+//   "exact phrase"         the phrase as written
+//   -word, -tag:old        exclude matches
+//   a OR b                 either side matches
+//   domain:github.com      host is github.com or a subdomain of it
+//   title:, notes:, url:   only look in that field
+//   tag:docs               has the tag (or a nested "docs/..." tag)
+//   after:2024-01-01       created on or after that day
+//   before:2024-02-01      created before that day
+
+const TEXT_FIELDS = ['title', 'notes', 'url', 'domain', 'tag'];
+const DATE_FIELDS = ['after', 'before'];
+const FIELD_ALIASES = { tags: 'tag', site: 'domain' };
+
+const TOKEN_PATTERN = new RegExp(
+  `(-?)(?:(${[...TEXT_FIELDS, ...DATE_FIELDS, ...Object.keys(FIELD_ALIASES)].join('|')}):)?(?:"([^"]*)"?|(\\S+))`,
+  'gi'
+);
+
+// How much a hit in each field counts towards relevance
+const FIELD_WEIGHTS = {
+  title: 3,
+  tag: 2.5,
+  domain: 2,
+  url: 1.5,
+  notes: 1
+};
+
+// Quality of a hit: whole word, start of a word, inside a word, or a typo away
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.8,
+  substring: 0.5,
+  fuzzy: 0.35
+};
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const extractHost = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+};
+
+const parseDate = (value) => {
+  if (!/^\d{4}-\d{1,2}(-\d{1,2})?$/.test(value)) return null;
+
+  const [year, month, day = 1] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse a query into OR groups of AND-ed terms.
+ * Each term is { field, value, negated, phrase } with field null for "anywhere".
+ */
+export const parseQuery = (input) => {
+  const groups = [[]];
+  const query = (input || '').trim();
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(query)) !== null) {
+    const [raw, negation, rawField, quoted, bare] = match;
+
+    if (!quoted && !rawField && (bare === 'OR' || bare === '|')) {
+      groups.push([]);
+      continue;
+    }
+
+    const value = (quoted !== undefined ? quoted : bare || '').trim().toLowerCase();
+    if (!value || raw === '-') continue;
+
+    const lowerField = rawField ? rawField.toLowerCase() : null;
+    const field = FIELD_ALIASES[lowerField] || lowerField;
+
+    if (DATE_FIELDS.includes(field)) {
+      const date = parseDate(value);
+      if (date) {
+        groups[groups.length - 1].push({ field, value, date, negated: Boolean(negation) });
+      }
+      continue;
+    }
+
+    groups[groups.length - 1].push({
+      field,
+      value,
+      negated: Boolean(negation),
+      phrase: quoted !== undefined || /\s/.test(value)
+    });
+  }
+
+  return groups.filter(group => group.length > 0);
+};
+
+// Edit distance, giving up as soon as it exceeds maxDistance
+const boundedLevenshtein = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+const maxEditsFor = (term) => {
+  if (term.length < 4) return 0;
+  if (term.length < 8) return 1;
+  return 2;
+};
+
+// Lower-cased text and words per field, cached per bookmark object
+const fieldCache = new WeakMap();
+
+const getFields = (bookmark) => {
+  let fields = fieldCache.get(bookmark);
+  if (fields) return fields;
+
+  const host = extractHost(bookmark.url);
+  const texts = {
+    title: (bookmark.title || '').toLowerCase(),
+    notes: (bookmark.notes || '').toLowerCase(),
+    url: (bookmark.url || '').toLowerCase(),
+    domain: host,
+    tag: (bookmark.tags || []).join(' ').toLowerCase()
+  };
+
+  fields = {};
+  Object.keys(texts).forEach(name => {
+    fields[name] = {
+      text: texts[name],
+      // Anything non-ASCII counts as a word character, so accents and CJK stay intact
+      words: texts[name].split(/[^a-z0-9\u00c0-\uffff]+/).filter(Boolean)
+    };
+  });
+  fields.tags = (bookmark.tags || []).map(tag => tag.toLowerCase());
+  fields.host = host;
+
+  fieldCache.set(bookmark, fields);
+  return fields;
+};
+
+// Best hit for a free-text term within one field
+const matchText = (field, term, fuzzyCache) => {
+  if (!field.text) return null;
+
+  if (term.phrase) {
+    return field.text.includes(term.value)
+      ? { quality: MATCH_SCORES.exact, matched: term.value }
+      : null;
+  }
+
+  if (field.text.includes(term.value)) {
+    if (field.words.includes(term.value)) {
+      return { quality: MATCH_SCORES.exact, matched: term.value };
+    }
+    if (field.words.some(word => word.startsWith(term.value))) {
+      return { quality: MATCH_SCORES.prefix, matched: term.value };
+    }
+    return { quality: MATCH_SCORES.substring, matched: term.value };
+  }
+
+  const maxEdits = maxEditsFor(term.value);
+  if (maxEdits === 0) return null;
+
+  for (const word of field.words) {
+    const key = `${term.value}\u0000${word}`;
+    let distance = fuzzyCache.get(key);
+
+    if (distance === undefined) {
+      distance = boundedLevenshtein(term.value, word, maxEdits);
+      fuzzyCache.set(key, distance);
+    }
+
+    if (distance <= maxEdits) {
+      return { quality: MATCH_SCORES.fuzzy / distance, matched: word };
+    }
+  }
+
+  return null;
+};
+
+// Score one term against a bookmark, or null if it doesn't match
+const matchTerm = (bookmark, term, fuzzyCache) => {
+  const fields = getFields(bookmark);
+
+  switch (term.field) {
+    case 'after':
+      return new Date(bookmark.createdAt) >= term.date ? { score: 0, matches: [] } : null;
+
+    case 'before':
+      return new Date(bookmark.createdAt) < term.date ? { score: 0, matches: [] } : null;
+
+    case 'domain': {
+      const value = term.value.replace(/^www\./, '');
+      const host = fields.host.replace(/^www\./, '');
+      return host === value || host.endsWith(`.${value}`)
+        ? { score: FIELD_WEIGHTS.domain, matches: [term.value] }
+        : null;
+    }
+
+    case 'tag': {
+      const hit = fields.tags.find(tag => tag === term.value || tag.startsWith(`${term.value}/`));
+      return hit ? { score: FIELD_WEIGHTS.tag, matches: [hit] } : null;
+    }
+
+    default: {
+      const names = term.field ? [term.field] : TEXT_FIELDS;
+      let score = 0;
+      const matches = [];
+
+      names.forEach(name => {
+        const hit = matchText(fields[name], term, fuzzyCache);
+        if (hit) {
+          score += hit.quality * FIELD_WEIGHTS[name];
+          matches.push(hit.matched);
+        }
+      });
+
+      return matches.length > 0 ? { score, matches } : null;
+    }
+  }
+};
+
+const matchGroup = (bookmark, group, fuzzyCache) => {
+  let score = 0;
+  const matches = [];
+
+  for (const term of group) {
+    const result = matchTerm(bookmark, term, fuzzyCache);
+
+    if (term.negated) {
+      if (result) return null;
+      continue;
+    }
+
+    if (!result) return null;
+    score += result.score;
+    matches.push(...result.matches);
+  }
+
+  return { score, matches };
+};
+
+/**
+ * Filter and rank bookmarks for a query.
+ * Returns [{ bookmark, score, matches }], best first. Ties keep their
+ * original order, so filter-only queries don't reshuffle the list.
+ */
+export const searchBookmarks = (bookmarks, input) => {
+  const groups = parseQuery(input);
+
+  if (groups.length === 0) {
+    return bookmarks.map(bookmark => ({ bookmark, score: 0, matches: [] }));
+  }
+
+  const fuzzyCache = new Map();
+  const results = [];
+
+  bookmarks.forEach((bookmark, index) => {
+    let best = null;
+
+    groups.forEach(group => {
+      const result = matchGroup(bookmark, group, fuzzyCache);
+      if (result && (!best || result.score > best.score)) {
+        best = result;
+      }
+    });
+
+    if (best) {
+      results.push({ bookmark, index, score: best.score, matches: Array.from(new Set(best.matches)) });
+    }
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ bookmark, score, matches }) => ({ bookmark, score, matches }));
+};
+
+// Split text into [{ text, highlighted }] parts for the given matched terms
+export const splitHighlights = (text, terms) => {
+  if (!text || !terms || terms.length === 0) {
+    return [{ text: text || '', highlighted: false }];
+  }
+
+  // Longest first so "react hooks" wins over "react"
+  const pattern = new RegExp(
+    `(${[...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`,
+    'gi'
+  );
+
+  // split() with a capture group puts the matches at the odd indexes
+  return text
+    .split(pattern)
+    .map((part, index) => ({ text: part, highlighted: index % 2 === 1 }))
+    .filter(part => part.text !== '');
+};
@@ -0,0 +1,20 @@
+// Multi-select for the bookmark list. Selections are Sets of bookmark ids.
+
+/**
+ * The selection after clicking id's checkbox. With extend (shift-click),
+ * everything from anchorId to id in orderedIds takes the clicked box's new
+ * state, like a file list. Without an anchor in the list only id changes.
+ */
+export const toggleSelection = (selectedIds, orderedIds, id, anchorId, extend) => {
+  const next = new Set(selectedIds);
+  const select = !selectedIds.has(id);
+  const index = orderedIds.indexOf(id);
+  const anchorIndex = extend && anchorId ? orderedIds.indexOf(anchorId) : -1;
+
+  const range = index >= 0 && anchorIndex >= 0
+    ? orderedIds.slice(Math.min(index, anchorIndex), Math.max(index, anchorIndex) + 1)
+    : [id];
+
+  range.forEach(rangeId => (select ? next.add(rangeId) : next.delete(rangeId)));
+  return next;
+};
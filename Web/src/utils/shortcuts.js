@@ -0,0 +1,37 @@
+// Keyboard shortcuts for the bookmark list. SHORTCUTS is what the ? overlay lists.
+
+export const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+
+// How the command palette shortcut reads on this platform
+export const PALETTE_SHORTCUT_LABEL = IS_MAC ? '⌘K' : 'Ctrl+K';
+
+export const SHORTCUTS = [
+  { keys: [PALETTE_SHORTCUT_LABEL], description: 'Command palette: bookmarks and actions' },
+  { keys: ['j', 'k'], description: 'Next / previous bookmark' },
+  { keys: ['Enter'], description: 'Open bookmark' },
+  { keys: ['e'], description: 'Edit bookmark' },
+  { keys: ['Backspace'], description: 'Delete bookmark' },
+  { keys: ['/'], description: 'Search' },
+  { keys: ['a'], description: 'Add bookmark' },
+  { keys: ['?'], description: 'Show this list' },
+  { keys: ['Esc'], description: 'Leave search, clear the selection' }
+];
+
+// Cmd+K on Macs, Ctrl+K elsewhere
+export const isPaletteShortcut = (e) => (
+  e.key.toLowerCase() === 'k' && (IS_MAC ? e.metaKey : e.ctrlKey) && !e.altKey && !e.shiftKey
+);
+
+const NON_TEXT_INPUTS = ['checkbox', 'radio', 'button', 'submit', 'reset', 'file'];
+
+// Keys typed into a field belong to the field
+export const isTypingTarget = (target) => {
+  if (!target) return false;
+  if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+  return target.tagName === 'INPUT' && !NON_TEXT_INPUTS.includes(target.type);
+};
+
+// Enter on a focused button or link should press it, not open the active bookmark
+export const isInteractiveTarget = (target) => (
+  Boolean(target) && ['BUTTON', 'A', 'INPUT', 'SELECT', 'TEXTAREA', 'LABEL'].includes(target.tagName)
+);
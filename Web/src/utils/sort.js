@@ -0,0 +1,92 @@
+// Sort orders for the bookmark list. Fields with a sortable index in
+// Shared/CloudKitSchema.json are sorted by the server too (serverField).
+
+export const SORT_FIELDS = [
+  { key: 'createdAt', label: 'Date Added', type: 'date', serverField: 'createdAt' },
+  { key: 'modifiedAt', label: 'Date Modified', type: 'date', serverField: 'modifiedAt' },
+  { key: 'title', label: 'Title', type: 'text' },
+  { key: 'domain', label: 'Domain', type: 'text' },
+  { key: 'lastVisitedAt', label: 'Last Visited', type: 'date' }
+];
+
+export const DEFAULT_SORT = { field: 'modifiedAt', direction: 'desc' };
+
+const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+const getDomain = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+};
+
+const getSortField = (sortOrder) => SORT_FIELDS.find(({ key }) => key === sortOrder.field);
+
+// A stored sort order, or the default if it's missing or from an older version
+export const normalizeSortOrder = (value) => {
+  if (!value || !SORT_FIELDS.some(({ key }) => key === value.field)) return DEFAULT_SORT;
+  return { field: value.field, direction: value.direction === 'asc' ? 'asc' : 'desc' };
+};
+
+// How a direction reads for a field, e.g. "Newest First" or "A to Z"
+export const getDirectionLabel = (sortOrder) => {
+  const { type } = getSortField(sortOrder) || {};
+  if (type === 'text') return sortOrder.direction === 'asc' ? 'A to Z' : 'Z to A';
+  return sortOrder.direction === 'asc' ? 'Oldest First' : 'Newest First';
+};
+
+// performQuery sortBy for the order, or null when the server can't sort by it
+export const getServerSort = (sortOrder) => {
+  const field = getSortField(sortOrder);
+  if (!field?.serverField) return null;
+  return { fieldName: field.serverField, ascending: sortOrder.direction === 'asc' };
+};
+
+const sortValue = (bookmark, field) => {
+  switch (field) {
+    case 'title':
+      // Untitled bookmarks show their domain, so they sort by it too
+      return bookmark.title || getDomain(bookmark.url);
+    case 'domain':
+      return getDomain(bookmark.url);
+    default: {
+      const time = bookmark[field] ? new Date(bookmark[field]).getTime() : NaN;
+      return Number.isNaN(time) ? null : time;
+    }
+  }
+};
+
+/**
+ * A sorted copy of bookmarks. Bookmarks without a value (never visited, no
+ * domain) go last in either direction. Ties fall back to the most recently
+ * modified first, so the order doesn't depend on how the list was built.
+ */
+export const sortBookmarks = (bookmarks, sortOrder) => {
+  const { field, direction } = normalizeSortOrder(sortOrder);
+  const { type } = getSortField({ field });
+  const sign = direction === 'asc' ? 1 : -1;
+
+  const compareValues = (a, b) => {
+    if (a === b) return 0;
+    if (a === null || a === '') return 1;
+    if (b === null || b === '') return -1;
+    return sign * (type === 'text' ? collator.compare(a, b) : a - b);
+  };
+
+  return bookmarks
+    .map(bookmark => ({
+      bookmark,
+      value: sortValue(bookmark, field),
+      modified: sortValue(bookmark, 'modifiedAt') || 0
+    }))
+    .sort((a, b) => compareValues(a.value, b.value) || b.modified - a.modified)
+    .map(({ bookmark }) => bookmark);
+};
+
+// The date worth showing next to a bookmark under this order
+export const getSortDate = (bookmark, sortOrder) => {
+  const { field } = normalizeSortOrder(sortOrder);
+  const dateField = getSortField({ field }).type === 'date' ? field : 'modifiedAt';
+  return bookmark[dateField] || null;
+};
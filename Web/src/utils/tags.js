@@ -0,0 +1,53 @@
+// Tag helpers shared by the editor, filters and import/export
+
+// Trim, drop empties and de-duplicate case-insensitively, keeping the first spelling
+export const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return [];
+
+  const seen = new Set();
+  const result = [];
+
+  tags.forEach(tag => {
+    const trimmed = String(tag || '').trim().replace(/\s+/g, ' ');
+    const key = trimmed.toLowerCase();
+
+    if (trimmed && !seen.has(key)) {
+      seen.add(key);
+      result.push(trimmed);
+    }
+  });
+
+  return result;
+};
+
+// Accepts "a, b, c" style strings as written by the CSV and HTML exports
+export const parseTagString = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return normalizeTags(value);
+  return normalizeTags(String(value).split(','));
+};
+
+export const formatTagString = (tags) => normalizeTags(tags).join(',');
+
+// All tags in the library with how many bookmarks use each, most used first
+export const collectTags = (bookmarks) => {
+  const counts = new Map();
+
+  bookmarks.forEach(bookmark => {
+    normalizeTags(bookmark.tags).forEach(tag => {
+      const key = tag.toLowerCase();
+      const entry = counts.get(key) || { name: tag, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    });
+  });
+
+  return Array.from(counts.values()).sort((a, b) =>
+    b.count - a.count || a.name.localeCompare(b.name)
+  );
+};
+
+export const hasTag = (bookmark, tag) => {
+  const key = tag.toLowerCase();
+  return (bookmark.tags || []).some(t => t.toLowerCase() === key);
+};
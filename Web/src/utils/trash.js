@@ -0,0 +1,41 @@
+// Deleted bookmarks stay in the trash (isDeleted = 1 in CloudKit) until
+// they're restored or purged. deletedAt starts the retention period.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// days: 0 keeps trashed bookmarks until the trash is emptied
+export const TRASH_RETENTION_OPTIONS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 0, label: 'Forever' }
+];
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Automatic purges run at most this often per browser
+export const TRASH_PURGE_INTERVAL = DAY;
+
+// A stored retention period, or the default if it's not one we offer
+export const normalizeRetentionDays = (value) => (
+  TRASH_RETENTION_OPTIONS.some(({ days }) => days === value) ? value : DEFAULT_TRASH_RETENTION_DAYS
+);
+
+const getPurgeTime = (bookmark, retentionDays) => {
+  const deletedAt = bookmark.deletedAt ? new Date(bookmark.deletedAt).getTime() : NaN;
+  return retentionDays && !Number.isNaN(deletedAt) ? deletedAt + retentionDays * DAY : null;
+};
+
+// Trashed bookmarks that have been there longer than the retention period
+export const getExpiredTrash = (bookmarks, retentionDays, now = Date.now()) => (
+  bookmarks.filter(bookmark => {
+    const purgeTime = getPurgeTime(bookmark, retentionDays);
+    return purgeTime !== null && purgeTime <= now;
+  })
+);
+
+// Whole days until a trashed bookmark is purged, or null when it's kept
+export const getDaysUntilPurge = (bookmark, retentionDays, now = Date.now()) => {
+  const purgeTime = getPurgeTime(bookmark, retentionDays);
+  return purgeTime === null ? null : Math.max(0, Math.ceil((purgeTime - now) / DAY));
+};
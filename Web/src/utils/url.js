@@ -0,0 +1,71 @@
+// URL canonicalization for duplicate detection.
+// BrowserExtension/urlUtils.js is a copy for the extension, keep the two in step.
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = [
+  'fbclid',
+  'gclid',
+  'dclid',
+  'msclkid',
+  'yclid',
+  'igshid',
+  'mc_cid',
+  'mc_eid',
+  '_hsenc',
+  '_hsmi',
+  'ref_src'
+];
+
+const isTrackingParam = (name) => {
+  const lower = name.toLowerCase();
+  return lower.startsWith('utm_') || TRACKING_PARAMS.includes(lower);
+};
+
+/**
+ * A comparison key for a URL: two bookmarks with the same key are the same page.
+ * Ignores http vs https, "www.", trailing slashes, fragments, tracking
+ * parameters and query parameter order. The key isn't meant to be opened.
+ */
+export const canonicalizeURL = (input) => {
+  const trimmed = (input || '').trim();
+  if (!trimmed) return '';
+
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    return trimmed.toLowerCase();
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    url.hash = '';
+    return url.href;
+  }
+
+  const host = url.hostname.replace(/^www\./, '');
+  const port = url.port ? `:${url.port}` : '';
+  const path = url.pathname.replace(/\/+$/, '');
+
+  const params = Array.from(url.searchParams.entries())
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = new URLSearchParams(params).toString();
+
+  return `${host}${port}${path}${query ? `?${query}` : ''}`;
+};
+
+export const isSameURL = (a, b) => canonicalizeURL(a) === canonicalizeURL(b);
+
+// Map of canonical URL to bookmark, the first bookmark wins
+export const indexByCanonicalURL = (bookmarks) => {
+  const index = new Map();
+
+  bookmarks.forEach(bookmark => {
+    const key = canonicalizeURL(bookmark.url);
+    if (key && !index.has(key)) {
+      index.set(key, bookmark);
+    }
+  });
+
+  return index;
+};